@@ -14,19 +14,66 @@
 
 const state = {
   vehiclePrice: 0,
-  zipCode: '',
+  zipCode: '',          // Location as typed: ZIP, ZIP+4, town or county
   taxRate: CONFIG.defaultTaxRate,
   taxLocation: '',
-  isCookCounty: false,
+  taxJurisdiction: { zip: '', index: 0 },  // Buyer's pick when a ZIP crosses jurisdiction lines
+  taxCounty: null,       // County key of the tax jurisdiction (fee conditions)
+  titleState: 'IL',     // Where the vehicle will be titled (key into STATE_TAX_MODULES)
+  dealerState: 'IL',    // Where the selling dealer is
+  transactionType: 'dealer',  // 'dealer' or 'private' (private-party sale)
+  modelYear: new Date().getFullYear(),  // Drives the Illinois private-party tax
+  deliveryDate: todayIsoDate(),  // Tax rates and fees in force on this date (YYYY-MM-DD)
+  contractDate: null,   // Loan signing date; null = the delivery date
+  firstPaymentDate: null,  // null = one month after the contract date
+  balloon: {             // Lump sum due with the last payment; 0 = fully amortizing
+    type: 'percent',     // 'percent' (of the vehicle price) or 'dollar'
+    value: 0
+  },
+  vehicleType: 'ice',   // Fee conditions: 'ice', 'hybrid', 'ev', 'motorcycle'
+  plateOption: 'new',   // Fee conditions: 'new' or 'transfer'
+  feeOverrides: {},     // Buyer-entered fee amounts, keyed by fee id
+  feesPaidAtSigning: {}, // Fee ids paid in cash instead of financed
+  taxPaidAtSigning: false,  // Sales tax paid in cash instead of financed
   tradeInActive: false,  // Whether trade-in section is expanded
   tradeValue: 0,
   tradeOwed: 0,
-  addons: [],           // Array of { id, name, price, taxable }
+  addons: [],           // Array of { id, name, price, taxable, paidAtSigning }
   discounts: [],        // Array of { id, name, amount }
   specialAprs: [],      // Array of { term, rate } - e.g., { term: 36, rate: 1.9 }
+  offerChoice: 'both',  // Rebate vs. special APR: 'both' (they stack), 'rebate' or 'apr'
+  customTerms: [],      // Terms added by the buyer beyond CONFIG.loanTerms
+  prepayment: {          // Payoff simulator inputs
+    extraMonthly: 0,     // Added to every monthly payment
+    biweekly: false,     // 1/12 of a payment extra each month (biweekly equivalent)
+    lumpSum: 0,
+    lumpSumMonth: 12     // Paid along with this payment number
+  },
   creditTier: 'excellent',
+  creditScore: null,    // Entered score; null = use the tier's minimum score
+  quotedApr: null,      // Dealer's quoted APR for the selected term (markup check)
+  lenderFee: 0,         // Prepaid finance charge added to the loan (origination, processing)
+  bookValue: 0,         // Lender's book value for LTV; 0 = use the vehicle price
+  lenderLimits: { ...CONFIG.lenderLimits },  // LTV caps in percent (see analyzeLtv)
+  rateSheets: [],       // Imported lender rate sheets: [{ fileName, rows }] (see parseRateSheet)
   downPayment: 0,
-  selectedTerm: 60
+  dealType: 'purchase',  // 'purchase' or 'lease'
+  lease: {
+    msrp: 0,             // 0 = use the vehicle price
+    residualPct: null,   // null = CONFIG.downPaymentCalc.residualByTerm for the term
+    moneyFactor: CONFIG.lease.defaultMoneyFactor,
+    acquisitionFee: CONFIG.lease.acquisitionFee,
+    mileageAllowance: CONFIG.lease.defaultMileage,
+    expectedMiles: null, // null = same as the allowance
+    capCostReduction: 0  // Cash down on the lease
+  },
+  selectedTerm: 60,
+  target: {              // "What can I afford?" solver inputs
+    payment: 0,          // Target monthly payment
+    term: 60,
+    creditTier: null,    // null = the credit tier above
+    downPayment: null    // null = the cash down above
+  }
 };
 
 
@@ -63,72 +110,905 @@ function formatPercent(rate) {
   return (rate * 100).toFixed(2) + '%';
 }
 
+/**
+ * Format a YYYY-MM-DD date as "Mar 3, 2027"
+ */
+function formatDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Intl.DateTimeFormat('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  }).format(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * Add months to a YYYY-MM-DD date; the day is clamped to the end of a
+ * shorter month (Jan 31 + 1 month = Feb 28)
+ */
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const first = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(day, lastDay));
+  return first.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (negative if earlier)
+ */
+function daysBetween(fromDate, toDate) {
+  const toUtc = iso => {
+    const [year, month, day] = iso.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toDate) - toUtc(fromDate)) / 86400000);
+}
+
 
 // ============================================
 // CALCULATION ENGINE
 // ============================================
 
+/**
+ * Standard terms plus any the buyer added, shortest first
+ */
+function getLoanTerms() {
+  return [...new Set([...CONFIG.loanTerms, ...state.customTerms])].sort((a, b) => a - b);
+}
+
+/**
+ * Look up a value in a table keyed by term (APRs, residuals)
+ * Terms between keys are interpolated on a straight line; terms outside
+ * the table continue the slope of the two nearest keys.
+ */
+function interpolateByTerm(table, term) {
+  if (term in table) return table[term];
+  
+  const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+  if (keys.length === 1) return table[keys[0]];
+  
+  // Upper neighbour, clamped so there's always a pair to work from
+  let upper = keys.findIndex(k => k > term);
+  if (upper === -1) upper = keys.length - 1;
+  if (upper === 0) upper = 1;
+  const low = keys[upper - 1];
+  const high = keys[upper];
+  
+  return table[low] + (table[high] - table[low]) * (term - low) / (high - low);
+}
+
+/**
+ * Resale value at the end of a term, as a fraction of the price
+ */
+function getResidualForTerm(term) {
+  const residual = interpolateByTerm(CONFIG.downPaymentCalc.residualByTerm, term);
+  return Math.min(1, Math.max(0, residual));
+}
+
+/**
+ * Whether the deal has both a rebate that doesn't stack with special
+ * APRs (see CONFIG.discounts) and a special APR
+ */
+function hasRebateAprConflict(s = state) {
+  const hasRebate = s.discounts.some(d => d.amount > 0 && !getDiscountRule(d.id).stacksWithSpecialApr);
+  return hasRebate && s.specialAprs.length > 0;
+}
+
+/**
+ * Which of the rebate and special APR apply: state.offerChoice when both
+ * are present, otherwise 'both'
+ */
+function getOfferChoice(s = state) {
+  return hasRebateAprConflict(s) ? s.offerChoice : 'both';
+}
+
 /**
  * Get the APR for a specific term
- * Returns { rate, isSpecial } - isSpecial indicates if it's a promotional rate
+ * Special APRs come first, then the lowest matching rate on an imported
+ * lender rate sheet, then the credit tier table. ltv (amount financed /
+ * vehicle price) narrows rate sheet matches when known.
+ * Returns { rate, isSpecial, isInterpolated, source } - isSpecial indicates
+ * a promotional rate; isInterpolated a tier rate estimated from nearby
+ * terms; source names the lender and program of a rate sheet match
  */
-function getAprForTerm(term) {
-  // Check for special promotional rate for this exact term
-  const specialRate = state.specialAprs.find(s => s.term === term);
+function getAprForTerm(term, ltv = null, s = state) {
+  // Check for special promotional rate for this exact term (unless the
+  // buyer is taking the rebate instead)
+  const specialRate = getOfferChoice(s) !== 'rebate' && s.specialAprs.find(a => a.term === term);
   if (specialRate) {
-    return { rate: specialRate.rate, isSpecial: true };
+    return { rate: specialRate.rate, isSpecial: true, isInterpolated: false, source: null };
+  }
+  
+  const sheetRate = findRateSheetMatch(term, ltv, s);
+  if (sheetRate) {
+    return { rate: sheetRate.apr, isSpecial: false, isInterpolated: false, source: sheetRate.source };
+  }
+  
+  // Fall back to credit tier rates, rounded like a published rate
+  const rates = CONFIG.creditTiers[s.creditTier].rates;
+  return {
+    rate: Math.round(interpolateByTerm(rates, term) * 100) / 100,
+    isSpecial: false,
+    isInterpolated: !(term in rates),
+    source: null
+  };
+}
+
+/**
+ * Credit tier for a score (the highest tier whose minScore it reaches)
+ */
+function getTierForScore(score) {
+  const tiers = Object.entries(CONFIG.creditTiers).sort((a, b) => b[1].minScore - a[1].minScore);
+  const match = tiers.find(([, tier]) => score >= tier.minScore);
+  return match ? match[0] : tiers[tiers.length - 1][0];
+}
+
+
+// ============================================
+// LENDER RATE SHEETS
+// ============================================
+
+// Rate sheet columns, keyed by the header with case, spaces, dashes and
+// underscores removed. Blank limits match anything.
+const RATE_SHEET_COLUMNS = {
+  lender: 'lender',
+  program: 'program',
+  minscore: 'minScore',
+  maxscore: 'maxScore',
+  minterm: 'minTerm',
+  maxterm: 'maxTerm',
+  term: 'term',
+  minmodelyear: 'minModelYear',
+  maxmodelyear: 'maxModelYear',
+  maxltv: 'maxLtv',
+  apr: 'apr'
+};
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Turn one raw rate sheet row (CSV or JSON) into a rate entry
+ * Throws an Error naming the row when the APR is missing or not a number
+ */
+function normalizeRateRow(raw, defaults, rowLabel) {
+  const row = { ...defaults };
+  Object.entries(raw).forEach(([key, value]) => {
+    const column = RATE_SHEET_COLUMNS[key.toLowerCase().replace(/[\s_-]/g, '')];
+    if (!column || value === '' || value === null || value === undefined) return;
+    row[column] = column === 'lender' || column === 'program' ? String(value) : parseFloat(value);
+  });
+  
+  if (typeof row.apr !== 'number' || isNaN(row.apr)) {
+    throw new Error(`${rowLabel} has no APR`);
+  }
+  if (row.term !== undefined) {
+    row.minTerm = row.term;
+    row.maxTerm = row.term;
+    delete row.term;
+  }
+  // LTV may be written as a percentage (120) or a ratio (1.2)
+  if (row.maxLtv !== undefined && row.maxLtv > 3) {
+    row.maxLtv = row.maxLtv / 100;
+  }
+  return row;
+}
+
+/**
+ * Parse a lender rate sheet
+ * CSV: a header row naming the columns in RATE_SHEET_COLUMNS, one rate
+ * per line. JSON: an array of rate rows, or { lender, program, rates: [...] }
+ * (or an array of those). Rows without a lender take the file name.
+ * Returns [{ lender, program, minScore, maxScore, minTerm, maxTerm,
+ *            minModelYear, maxModelYear, maxLtv, apr }]
+ * Throws an Error describing the first problem found
+ */
+function parseRateSheet(text, fileName) {
+  const defaults = { lender: fileName.replace(/\.[^.]+$/, ''), program: '' };
+  let rows = [];
+  
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    const sheets = Array.isArray(data) && data.some(d => d && Array.isArray(d.rates)) ? data
+      : (data && Array.isArray(data.rates) ? [data] : [{ rates: data }]);
+    sheets.forEach((sheet, s) => {
+      if (!Array.isArray(sheet.rates)) throw new Error(`Sheet ${s + 1} has no list of rates`);
+      const sheetDefaults = {
+        lender: sheet.lender || defaults.lender,
+        program: sheet.program || defaults.program
+      };
+      sheet.rates.forEach((raw, i) => rows.push(normalizeRateRow(raw, sheetDefaults, `Rate ${i + 1}`)));
+    });
+  } else {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw new Error('Needs a header row and at least one rate');
+    const headers = parseCsvLine(lines[0]);
+    if (!headers.some(h => h.toLowerCase() === 'apr')) throw new Error('No "apr" column in the header row');
+    rows = lines.slice(1).map((line, i) => {
+      const fields = parseCsvLine(line);
+      const raw = {};
+      headers.forEach((header, h) => { raw[header] = fields[h]; });
+      return normalizeRateRow(raw, defaults, `Line ${i + 2}`);
+    });
+  }
+  
+  if (rows.length === 0) throw new Error('No rates found');
+  return rows;
+}
+
+/**
+ * Lowest rate sheet APR matching the credit score, term, model year and
+ * LTV. Returns { apr, source } or null when nothing matches.
+ */
+function findRateSheetMatch(term, ltv, s = state) {
+  const score = s.creditScore !== null
+    ? s.creditScore
+    : CONFIG.creditTiers[s.creditTier].minScore;
+  const within = (value, min, max) =>
+    (min === undefined || value >= min) && (max === undefined || value <= max);
+  
+  let best = null;
+  s.rateSheets.forEach(sheet => sheet.rows.forEach(row => {
+    if (!within(score, row.minScore, row.maxScore)) return;
+    if (!within(term, row.minTerm, row.maxTerm)) return;
+    if (!within(s.modelYear, row.minModelYear, row.maxModelYear)) return;
+    if (ltv !== null && row.maxLtv !== undefined && ltv > row.maxLtv) return;
+    if (!best || row.apr < best.apr) best = row;
+  }));
+  
+  if (!best) return null;
+  return { apr: best.apr, source: best.program ? `${best.lender} · ${best.program}` : best.lender };
+}
+
+/**
+ * Taxability and stacking rules for a discount, as declared on its
+ * CONFIG.discounts entry. An id with no entry is taken off the selling
+ * price like a dealer discount
+ */
+function getDiscountRule(id) {
+  return CONFIG.discounts.find(d => d.id === id) || {
+    appliedBeforeTax: true,
+    stacksWithSpecialApr: true,
+    eligibility: null,
+    taxNote: 'Taken off the selling price, so it reduces the taxable amount'
+  };
+}
+
+/**
+ * Whether a fee's conditions match the current transaction
+ */
+function feeApplies(fee, s = state) {
+  const conditions = fee.conditions || {};
+  if (conditions.counties && !conditions.counties.includes(s.taxCounty)) return false;
+  if (conditions.vehicleTypes && !conditions.vehicleTypes.includes(s.vehicleType)) return false;
+  if (conditions.plates && conditions.plates !== s.plateOption) return false;
+  return true;
+}
+
+/**
+ * Fee lines for the current transaction, in breakdown order
+ * Dealer fees come from the dealer's state (none in a private sale);
+ * state fees from the state where the vehicle is titled. Amounts are
+ * the ones in force on the delivery date, unless the buyer entered one.
+ * Returns [{ id, name, amount, standardAmount, cap, taxable, paidTo, overridable, isOverridden, isOverCap }]
+ * The cap limits the standard amount only - an override above it is kept as entered and flagged
+ */
+function getFeeLines(s = state) {
+  const dealerModule = STATE_TAX_MODULES[s.dealerState];
+  const titleModule = STATE_TAX_MODULES[s.titleState];
+  const dealerFees = s.transactionType === 'private'
+    ? []
+    : dealerModule.fees.filter(f => f.paidTo === 'dealer');
+  const stateFees = titleModule.fees.filter(f => f.paidTo === 'state');
+  const stateNote = s.titleState !== 'IL' ? ` (${titleModule.name})` : '';
+  
+  return [...dealerFees, ...stateFees].filter(fee => feeApplies(fee, s)).map(fee => {
+    const cap = fee.cap !== undefined && fee.cap !== null
+      ? getEffectiveAmount(fee.cap, s.deliveryDate)
+      : null;
+    let standardAmount = getEffectiveAmount(fee.amounts, s.deliveryDate);
+    if (cap !== null) standardAmount = Math.min(standardAmount, cap);
+    const override = fee.overridable ? s.feeOverrides[fee.id] : undefined;
+    const isOverridden = override !== undefined;
+    const amount = isOverridden ? override : standardAmount;
+    
+    return {
+      id: fee.id,
+      name: fee.paidTo === 'state' ? fee.name + stateNote : fee.name,
+      amount: amount,
+      standardAmount: standardAmount,
+      cap: cap,
+      taxable: fee.taxable,
+      paidTo: fee.paidTo,
+      overridable: !!fee.overridable,
+      isOverridden: isOverridden,
+      isOverCap: cap !== null && amount > cap
+    };
+  });
+}
+
+/**
+ * Illinois private-party use tax (RUT-50) for a purchase price and model year
+ * Flat amount by price at $15,000 and up, by vehicle age below that
+ * Returns { amount, basis } - basis explains which schedule row applied
+ */
+function getPrivatePartyTax(purchasePrice, modelYear, s = state) {
+  const schedule = CONFIG.privatePartyTax;
+  
+  const bracket = schedule.priceBrackets.find(b => purchasePrice >= b.minPrice);
+  if (bracket) {
+    return { amount: bracket.amount, basis: `Price ${formatCurrency(bracket.minPrice)} or more` };
+  }
+  
+  // Age is counted as of the year the vehicle is delivered
+  const age = Math.max(1, parseInt(s.deliveryDate.slice(0, 4)) - modelYear);
+  const index = Math.min(age, schedule.ageSchedule.length) - 1;
+  const ageLabel = index === 0 ? '1 year old or newer'
+    : index === schedule.ageSchedule.length - 1 ? `${index + 1} years old or older`
+    : `${age} years old`;
+  
+  return { amount: schedule.ageSchedule[index], basis: `Under ${formatCurrency(15000)}, ${ageLabel}` };
+}
+
+/**
+ * Illinois trade-in credit policy in effect on a date (YYYY-MM-DD)
+ */
+function getTradeInCreditPolicy(date) {
+  return getEffectiveEntry(CONFIG.tradeInCreditPolicy, date);
+}
+
+/**
+ * Trade-in credit allowed against the taxable amount
+ * Private sales and states without a credit get none; Illinois applies
+ * the date-effective cap from CONFIG.tradeInCreditPolicy
+ * Returns { amount, cap, isCapped, note }
+ */
+function getTradeInCredit(taxableBeforeTrade, s = state) {
+  const titleModule = STATE_TAX_MODULES[s.titleState];
+  
+  if (s.transactionType === 'private' || !titleModule.tradeInCredit || s.tradeValue <= 0) {
+    return { amount: 0, cap: null, isCapped: false, note: '' };
   }
   
-  // Fall back to credit tier rates
-  return { rate: CONFIG.creditTiers[state.creditTier].rates[term], isSpecial: false };
+  const policy = s.titleState === 'IL'
+    ? getTradeInCreditPolicy(s.deliveryDate)
+    : null;
+  const cap = policy ? policy.cap : null;
+  const isCapped = cap !== null && s.tradeValue > cap;
+  
+  return {
+    amount: Math.min(isCapped ? cap : s.tradeValue, taxableBeforeTrade),
+    cap: cap,
+    isCapped: isCapped,
+    note: isCapped ? policy.note : ''
+  };
+}
+
+/**
+ * Split the tax on a transaction by who collects it
+ * Depends on where the vehicle is bought and where it will be titled:
+ * - Same state: that state's sales tax, collected by the dealer
+ * - Bought in Illinois, titled elsewhere: the dealer collects Illinois tax at
+ *   the home state's chart rate (reciprocalRate, capped at the Illinois rate)
+ *   for reciprocal states and nothing for nonreciprocal states; the rest is
+ *   due when titling at home
+ * - Bought elsewhere, titled in Illinois: Illinois use tax, paid on
+ *   Form RUT-25 when titling
+ * - Private-party sale: Illinois flat use tax (RUT-50), or the titling
+ *   state's rate on the price
+ * Returns { total, lines } - lines is an array of { label, amount, note }
+ */
+function getTaxTreatment(taxableAmount, s = state) {
+  const titleModule = STATE_TAX_MODULES[s.titleState];
+  const homeTax = taxableAmount * s.taxRate;
+  const rateLabel = formatPercent(s.taxRate);
+  
+  if (s.transactionType === 'private') {
+    if (s.titleState === 'IL') {
+      const privateTax = getPrivatePartyTax(taxableAmount, s.modelYear, s);
+      return {
+        total: privateTax.amount,
+        lines: [{
+          label: 'Private party use tax (RUT-50)',
+          amount: privateTax.amount,
+          note: privateTax.basis
+        }]
+      };
+    }
+    return {
+      total: homeTax,
+      lines: [{ label: `${titleModule.name} tax (${rateLabel})`, amount: homeTax, note: 'Paid when titling' }]
+    };
+  }
+  
+  if (s.dealerState === s.titleState) {
+    return {
+      total: homeTax,
+      lines: [{ label: `Sales tax (${rateLabel})`, amount: homeTax, note: '' }]
+    };
+  }
+  
+  if (s.titleState === 'IL') {
+    return {
+      total: homeTax,
+      lines: [{
+        label: `Illinois use tax (${rateLabel})`,
+        amount: homeTax,
+        note: 'Paid on Form RUT-25 when titling in Illinois'
+      }]
+    };
+  }
+  
+  const lines = [];
+  let collected = 0;
+  
+  if (s.dealerState === 'IL' && titleModule.illinoisTreatment === 'reciprocal') {
+    const isCapped = titleModule.reciprocalRate > CONFIG.defaultTaxRate;
+    const illinoisRate = Math.min(titleModule.reciprocalRate, CONFIG.defaultTaxRate);
+    collected = taxableAmount * illinoisRate;
+    lines.push({
+      label: isCapped
+        ? `Illinois tax, capped at the Illinois rate (${formatPercent(illinoisRate)})`
+        : `Illinois tax at ${titleModule.name}'s state rate (${formatPercent(illinoisRate)})`,
+      amount: collected,
+      note: `Collected by the dealer, credited by ${titleModule.name}`
+    });
+  }
+  
+  const due = Math.max(0, homeTax - collected);
+  if (due > 0 || lines.length === 0) {
+    lines.push({
+      label: `${titleModule.name} tax due at titling`,
+      amount: due,
+      note: collected > 0 ? `${rateLabel} total, less tax paid at the dealer` : `${rateLabel}, paid when titling`
+    });
+  }
+  
+  return { total: collected + due, lines: lines };
+}
+
+/**
+ * Contract date, first payment date and the odd days between them
+ * Odd days are the days beyond (or short of) a regular one-month first
+ * period; a first payment on or before the contract date is ignored.
+ */
+function getPaymentDates(s = state) {
+  const contractDate = s.contractDate || s.deliveryDate;
+  const regularFirstPayment = addMonths(contractDate, 1);
+  const firstPaymentDate = s.firstPaymentDate && s.firstPaymentDate > contractDate
+    ? s.firstPaymentDate
+    : regularFirstPayment;
+  
+  return {
+    contractDate: contractDate,
+    regularFirstPayment: regularFirstPayment,
+    firstPaymentDate: firstPaymentDate,
+    daysToFirstPayment: daysBetween(contractDate, firstPaymentDate),
+    oddDays: daysBetween(regularFirstPayment, firstPaymentDate)
+  };
+}
+
+/**
+ * Simple interest for the odd days before the first full period
+ * (actual/365), which the lender adds to the balance
+ */
+function getOddDaysInterest(principal, annualRate, oddDays) {
+  return principal * annualRate / 100 / 365 * oddDays;
 }
 
 /**
  * Calculate monthly payment using standard amortization formula
+ * Odd-days interest (see getPaymentDates) is added to the principal
+ * before amortizing. A balloon is left unpaid until the last payment, so
+ * only its present value is amortized.
  */
-function calculateMonthlyPayment(principal, annualRate, termMonths) {
+function calculateMonthlyPayment(principal, annualRate, termMonths, oddDays = 0, balloon = 0) {
   if (principal <= 0) return 0;
   
   const monthlyRate = annualRate / 100 / 12;
+  principal += getOddDaysInterest(principal, annualRate, oddDays);
   
   if (monthlyRate === 0) {
-    return principal / termMonths;
+    return (principal - balloon) / termMonths;
   }
   
-  const payment = principal * 
-    (monthlyRate * Math.pow(1 + monthlyRate, termMonths)) / 
-    (Math.pow(1 + monthlyRate, termMonths) - 1);
+  const growth = Math.pow(1 + monthlyRate, termMonths);
+  const payment = (principal - balloon / growth) * 
+    (monthlyRate * growth) / 
+    (growth - 1);
   
   return isFinite(payment) ? payment : 0;
 }
 
+/**
+ * Balloon due at the end of the loan: a percentage of the vehicle price
+ * or a dollar amount, never more than the amount financed
+ */
+function getBalloonAmount(amountToFinance, s = state) {
+  const balloon = s.balloon;
+  const amount = balloon.type === 'percent'
+    ? s.vehiclePrice * balloon.value / 100
+    : balloon.value;
+  return Math.min(Math.max(0, amount), amountToFinance);
+}
+
+/**
+ * Month-by-month amortization for a fixed-payment loan
+ * Odd-days interest is charged with the first payment; the last payment
+ * pays off what's left (the balloon, if any, plus rounding) so the
+ * balance ends at zero.
+ * Returns { rows: [{ number, payment, principal, interest, balance }],
+ *           years: [{ year, payment, principal, interest, balance }] }
+ */
+function buildAmortizationSchedule(principal, annualRate, termMonths, oddDays = 0, balloon = 0) {
+  const monthlyRate = annualRate / 100 / 12;
+  const payment = calculateMonthlyPayment(principal, annualRate, termMonths, oddDays, balloon);
+  const oddDaysInterest = principal > 0 ? getOddDaysInterest(principal, annualRate, oddDays) : 0;
+  const rows = [];
+  const years = [];
+  let balance = principal;
+  
+  for (let number = 1; number <= termMonths && principal > 0; number++) {
+    // The first period's interest accrues on the balance with odd-days
+    // interest added, matching calculateMonthlyPayment()
+    const interest = number === 1
+      ? oddDaysInterest + (balance + oddDaysInterest) * monthlyRate
+      : balance * monthlyRate;
+    const principalPaid = number === termMonths ? balance : Math.min(balance, payment - interest);
+    balance = Math.max(0, balance - principalPaid);
+    rows.push({ number, payment: principalPaid + interest, principal: principalPaid, interest, balance });
+    
+    // Yearly subtotal every 12 payments (and after a partial final year)
+    if (number % 12 === 0 || number === termMonths) {
+      const yearRows = rows.slice(Math.floor((number - 1) / 12) * 12);
+      years.push({
+        year: Math.ceil(number / 12),
+        payment: yearRows.reduce((sum, r) => sum + r.payment, 0),
+        principal: yearRows.reduce((sum, r) => sum + r.principal, 0),
+        interest: yearRows.reduce((sum, r) => sum + r.interest, 0),
+        balance: balance
+      });
+    }
+  }
+  
+  return { rows, years };
+}
+
+/**
+ * Pay off a loan early with extra monthly payments, the biweekly
+ * equivalent and/or a one-time lump sum, against the same fixed payment.
+ * The biweekly equivalent is 1/12 of a payment extra each month: the same
+ * 13 payments a year as biweekly half payments, but not a biweekly
+ * schedule. Prepayments on a balloon loan shrink the balloon.
+ * Returns { months, totalPaid, totalInterest }
+ */
+function simulatePrepayment(principal, annualRate, termMonths, oddDays, options, balloon = 0) {
+  const monthlyRate = annualRate / 100 / 12;
+  const payment = calculateMonthlyPayment(principal, annualRate, termMonths, oddDays, balloon);
+  const extra = options.extraMonthly + (options.biweekly ? payment / 12 : 0);
+  let balance = principal + (principal > 0 ? getOddDaysInterest(principal, annualRate, oddDays) : 0);
+  let totalPaid = 0;
+  let months = 0;
+  
+  while (balance > 0.005 && months < termMonths) {
+    months++;
+    const interest = balance * monthlyRate;
+    let paid = payment + extra + (months === options.lumpSumMonth ? options.lumpSum : 0);
+    paid = Math.min(paid, balance + interest);
+    balance = balance + interest - paid;
+    totalPaid += paid;
+  }
+  
+  // Whatever is left of a balloon is due with the last payment
+  if (balance > 0.005) {
+    totalPaid += balance;
+  }
+  
+  return { months, totalPaid, totalInterest: totalPaid - principal };
+}
+
+/**
+ * Head-to-head of the rebate and the special APR, term by term, when the
+ * two can't be combined. Each option's total cost is its out-the-door
+ * price plus interest; the break-even APR is the special rate at which
+ * both cost the same (null when the rebate wins even at 0%, or the term
+ * has no special APR).
+ * Returns null when there's no rebate/special APR pair to compare.
+ */
+function compareRebateVsApr() {
+  if (!hasRebateAprConflict()) return null;
+  
+  const savedChoice = state.offerChoice;
+  let withRebate, withApr;
+  try {
+    state.offerChoice = 'rebate';
+    withRebate = calculate();
+    state.offerChoice = 'apr';
+    withApr = calculate();
+  } finally {
+    state.offerChoice = savedChoice;
+  }
+  
+  const oddDays = withApr.paymentDates.oddDays;
+  const option = (results, term) => {
+    const p = results.payments[term];
+    return {
+      apr: p.apr,
+      isSpecial: p.isSpecial,
+      payment: p.payment,
+      totalInterest: p.totalInterest,
+      totalCost: results.outTheDoor + p.totalInterest
+    };
+  };
+  
+  const terms = getLoanTerms().map(term => {
+    const rebate = option(withRebate, term);
+    const apr = option(withApr, term);
+    
+    // Total cost of the APR option rises with its rate, so bisect for the
+    // rate where it matches the rebate option
+    const aprCostAt = rate => withApr.outTheDoor +
+      calculateMonthlyPayment(withApr.amountToFinance, rate, term, oddDays, withApr.balloon) * term +
+      withApr.balloon - withApr.amountToFinance;
+    let breakEvenApr = null;
+    if (apr.isSpecial && aprCostAt(0) < rebate.totalCost) {
+      let low = 0;
+      let high = Math.max(rebate.apr, 1);
+      while (aprCostAt(high) < rebate.totalCost && high < 100) high *= 2;
+      for (let i = 0; i < 50; i++) {
+        const mid = (low + high) / 2;
+        if (aprCostAt(mid) < rebate.totalCost) low = mid; else high = mid;
+      }
+      breakEvenApr = (low + high) / 2;
+    }
+    
+    return {
+      term: term,
+      rebate: rebate,
+      apr: apr,
+      better: apr.totalCost < rebate.totalCost ? 'apr' : 'rebate',
+      savings: Math.abs(rebate.totalCost - apr.totalCost),
+      breakEvenApr: breakEvenApr
+    };
+  });
+  
+  return { rebateAmount: withRebate.totalDiscounts - withApr.totalDiscounts, terms: terms };
+}
+
+/**
+ * Compare the dealer's quoted APR with the rate from getAprForTerm() (the
+ * buy rate) for the selected term. Extra interest is what the markup
+ * costs over the loan; the dealer keeps CONFIG.dealerMarkup.reserveShare
+ * of it as reserve.
+ * Returns null when no quoted APR was entered.
+ */
+function analyzeRateMarkup(results) {
+  if (state.quotedApr === null) return null;
+  
+  const term = state.selectedTerm;
+  const standard = results.payments[term];
+  const contractPayment = calculateMonthlyPayment(
+    results.amountToFinance, state.quotedApr, term, results.paymentDates.oddDays, results.balloon);
+  const markup = state.quotedApr - standard.apr;
+  const extraInterest = (contractPayment - standard.payment) * term;
+  const cap = CONFIG.dealerMarkup.caps.find(c => term <= c.maxTerm).points;
+  
+  return {
+    term: term,
+    buyRate: standard.apr,
+    contractRate: state.quotedApr,
+    markup: markup,
+    contractPayment: contractPayment,
+    paymentDifference: contractPayment - standard.payment,
+    extraInterest: extraInterest,
+    dealerReserve: Math.max(0, extraInterest * CONFIG.dealerMarkup.reserveShare),
+    cap: cap,
+    overCap: markup > cap
+  };
+}
+
+/**
+ * Front-end and back-end loan-to-value against the book value, checked
+ * against state.lenderLimits. Tax, fees, backend products (non-taxable
+ * add-ons) and the lender fee count only toward back-end LTV, and only
+ * when financed. Cash down comes off the front end first, so each extra
+ * dollar down lowers both LTVs by a dollar; extraDown is what it takes to
+ * get under both caps. Financed products over their cap have to be paid
+ * at signing or dropped instead.
+ * Returns null when nothing is financed.
+ */
+function analyzeLtv(results) {
+  if (results.amountToFinance <= 0 || !(results.bookValue > 0)) return null;
+  
+  const bookValue = results.bookValue;
+  const limits = state.lenderLimits;
+  const backEndProducts = state.addons
+    .filter(a => !a.taxable && !a.paidAtSigning)
+    .reduce((sum, a) => sum + a.price, 0);
+  const financedTaxAndFees =
+    (state.taxPaidAtSigning ? 0 : results.salesTax) +
+    results.feeLines
+      .filter(f => !state.feesPaidAtSigning[f.id])
+      .reduce((sum, f) => sum + f.amount, 0);
+  
+  const backEndAmount = results.amountToFinance;
+  const frontEndAmount = Math.max(0,
+    backEndAmount - backEndProducts - financedTaxAndFees - results.prepaidFinanceCharge);
+  const frontEndLimit = bookValue * limits.maxFrontEndLtv / 100;
+  const backEndLimit = bookValue * limits.maxBackEndLtv / 100;
+  const productsLimit = bookValue * limits.maxBackEndProducts / 100;
+  
+  const extraDown = Math.max(0, frontEndAmount - frontEndLimit, backEndAmount - backEndLimit);
+  
+  return {
+    bookValue: bookValue,
+    negativeEquity: Math.max(0, -results.tradeEquity),
+    frontEndAmount: frontEndAmount,
+    frontEndLtv: frontEndAmount / bookValue * 100,
+    frontEndOver: frontEndAmount > frontEndLimit,
+    backEndAmount: backEndAmount,
+    backEndLtv: backEndAmount / bookValue * 100,
+    backEndOver: backEndAmount > backEndLimit,
+    backEndProducts: backEndProducts,
+    productsPct: backEndProducts / bookValue * 100,
+    productsExcess: Math.max(0, backEndProducts - productsLimit),
+    extraDown: Math.ceil(extraDown)
+  };
+}
+
+/**
+ * APR implied by a payment stream (Regulation Z, Appendix J actuarial
+ * method): the monthly rate at which the payments, discounted back to
+ * the contract date, equal the amount financed. The first period is one
+ * month plus oddDays/30 of a month; a balloon is paid with the last
+ * payment. Solved by bisection, since there's no closed form.
+ */
+function solveTrueApr(amountFinanced, payment, termMonths, oddDays = 0, balloon = 0) {
+  if (amountFinanced <= 0 || payment <= 0) return 0;
+  
+  const fraction = oddDays / 30;
+  const presentValue = monthlyRate => {
+    let total = 0;
+    for (let k = 1; k <= termMonths; k++) {
+      total += payment / Math.pow(1 + monthlyRate, k);
+    }
+    total += balloon / Math.pow(1 + monthlyRate, termMonths);
+    return total / (1 + fraction * monthlyRate);
+  };
+  
+  // Payments that don't even repay the amount financed mean a 0% APR
+  if (presentValue(0) <= amountFinanced) return 0;
+  
+  let low = 0;
+  let high = 1;  // 1200% APR
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > amountFinanced) low = mid; else high = mid;
+  }
+  return (low + high) / 2 * 12 * 100;
+}
+
+/**
+ * Truth-in-Lending figures for the selected term, as they'd appear in the
+ * federal box on a retail installment contract. The amount financed
+ * excludes prepaid finance charges (lender fees); protection products
+ * financed with the loan stay in it.
+ * Returns null when nothing is financed.
+ */
+function buildTilaDisclosure(results) {
+  if (results.amountToFinance <= 0) return null;
+  
+  const term = state.selectedTerm;
+  const p = results.payments[term];
+  const oddDays = results.paymentDates.oddDays;
+  const amountFinanced = results.amountToFinance - results.prepaidFinanceCharge;
+  const totalOfPayments = p.totalPayments;
+  
+  // Itemization: who the amount financed is paid to
+  const stateFees = results.feeLines
+    .filter(f => f.paidTo === 'state')
+    .reduce((sum, f) => sum + f.amount, 0);
+  const products = results.nonTaxableAddons;
+  const itemization = [
+    { label: 'Vehicle, tax and dealer fees', amount: results.outTheDoor - products - stateFees },
+    { label: 'Protection products (GAP, service contracts)', amount: products },
+    { label: 'Paid to public officials (title, registration)', amount: stateFees },
+    { label: 'Less cash down and items paid at signing', amount: -results.dueAtSigning }
+  ].filter(line => line.amount !== 0);
+  
+  return {
+    term: term,
+    apr: solveTrueApr(amountFinanced, p.payment, term, oddDays, results.balloon),
+    noteRate: p.apr,
+    financeCharge: totalOfPayments - amountFinanced,
+    amountFinanced: amountFinanced,
+    totalOfPayments: totalOfPayments,
+    prepaidFinanceCharge: results.prepaidFinanceCharge,
+    oddDays: oddDays,
+    payment: p.payment,
+    firstPaymentDate: results.paymentDates.firstPaymentDate,
+    finalPayment: p.payment + results.balloon,
+    itemization: itemization
+  };
+}
+
 /**
  * Main calculation function
+ * Reads the global state unless given another state object (the target
+ * payment solver passes a modified copy); never changes it.
  * Returns an object with all calculated values
  */
-function calculate() {
+function calculate(s = state) {
   const results = {};
   
   // 1. Calculate selling price
-  // Dealer discounts reduce selling price (and thus taxable amount)
-  // Manufacturer rebates are applied AFTER tax — they don't reduce taxable amount
-  const dealerDiscounts = state.discounts
-    .filter(d => d.id !== 'manufacturer')
+  // Pre-tax discounts reduce selling price (and thus taxable amount);
+  // post-tax rebates are applied after tax (see CONFIG.discounts)
+  // Taking the special APR instead of a rebate drops the rebate
+  const offerChoice = getOfferChoice(s);
+  const discounts = offerChoice === 'apr'
+    ? s.discounts.filter(d => getDiscountRule(d.id).stacksWithSpecialApr)
+    : s.discounts;
+  results.offerChoice = offerChoice;
+  results.discountLines = discounts.map(d => {
+    const rule = getDiscountRule(d.id);
+    return {
+      name: d.name,
+      amount: d.amount,
+      appliedBeforeTax: rule.appliedBeforeTax,
+      taxNote: rule.taxNote
+    };
+  });
+  const preTaxDiscounts = results.discountLines
+    .filter(d => d.appliedBeforeTax)
     .reduce((sum, d) => sum + d.amount, 0);
-  const manufacturerRebate = state.discounts
-    .filter(d => d.id === 'manufacturer')
+  const postTaxDiscounts = results.discountLines
+    .filter(d => !d.appliedBeforeTax)
     .reduce((sum, d) => sum + d.amount, 0);
 
-  results.sellingPrice = Math.max(0, state.vehiclePrice - dealerDiscounts);
-  results.totalDiscounts = dealerDiscounts + manufacturerRebate;
-  results.manufacturerRebate = manufacturerRebate;
-  results.dealerDiscounts = dealerDiscounts;
+  results.sellingPrice = Math.max(0, s.vehiclePrice - preTaxDiscounts);
+  results.totalDiscounts = preTaxDiscounts + postTaxDiscounts;
+  results.preTaxDiscounts = preTaxDiscounts;
+  results.postTaxDiscounts = postTaxDiscounts;
   
   // 2. Calculate add-ons (separate taxable and non-taxable)
-  const taxableAddons = state.addons
+  const taxableAddons = s.addons
     .filter(a => a.taxable)
     .reduce((sum, a) => sum + a.price, 0);
-  const nonTaxableAddons = state.addons
+  const nonTaxableAddons = s.addons
     .filter(a => !a.taxable)
     .reduce((sum, a) => sum + a.price, 0);
   
@@ -139,33 +1019,44 @@ function calculate() {
   // 3. Calculate vehicle subtotal
   results.vehicleSubtotal = results.sellingPrice + results.totalAddons;
   
-  // 4. Calculate fees
-  results.taxableFees = CONFIG.fees.docPrep.amount + CONFIG.fees.ert.amount;
-  results.nonTaxableFees = CONFIG.fees.title.amount + CONFIG.fees.registration.amount;
+  // 4. Calculate fees (see getFeeLines)
+  const isPrivateSale = s.transactionType === 'private';
   
-  // Add Cook County fee if applicable
-  if (state.isCookCounty) {
-    results.nonTaxableFees += CONFIG.fees.cookCounty.amount;
-  }
+  results.isPrivateSale = isPrivateSale;
+  results.feeLines = getFeeLines(s);
+  results.taxableFees = results.feeLines
+    .filter(f => f.taxable)
+    .reduce((sum, f) => sum + f.amount, 0);
+  results.nonTaxableFees = results.feeLines
+    .filter(f => !f.taxable)
+    .reduce((sum, f) => sum + f.amount, 0);
   
   // 5. Calculate taxable amount (before trade-in credit)
   // In Illinois: Vehicle + Taxable Add-ons + Taxable Fees
-  results.taxableBeforeTrade = results.sellingPrice + taxableAddons + results.taxableFees;
+  // Private sales are taxed on the vehicle's purchase price alone
+  results.taxableBeforeTrade = isPrivateSale
+    ? results.sellingPrice
+    : results.sellingPrice + taxableAddons + results.taxableFees;
   
   // 6. Apply trade-in credit (Illinois allows trade-in to reduce taxable amount)
-  results.tradeValue = state.tradeValue;
-  results.tradeOwed = state.tradeOwed;
-  results.tradeEquity = state.tradeValue - state.tradeOwed;
-  
-  // Taxable amount is reduced by trade-in value
-  results.taxableAmount = Math.max(0, results.taxableBeforeTrade - state.tradeValue);
-  
-  // 7. Calculate sales tax
-  results.taxRate = state.taxRate;
-  results.salesTax = results.taxableAmount * state.taxRate;
+  // Private sellers don't take trades, so a private sale ignores the trade-in
+  results.tradeValue = isPrivateSale ? 0 : s.tradeValue;
+  results.tradeOwed = isPrivateSale ? 0 : s.tradeOwed;
+  results.tradeEquity = results.tradeValue - results.tradeOwed;
+  
+  // Taxable amount is reduced by trade-in value where the titling state allows it,
+  // up to any cap in effect (private sellers don't take trades, so there is no credit)
+  results.tradeCredit = getTradeInCredit(results.taxableBeforeTrade, s);
+  results.taxableAmount = Math.max(0, results.taxableBeforeTrade - results.tradeCredit.amount);
+  
+  // 7. Calculate sales tax (split by who collects it)
+  results.taxRate = s.taxRate;
+  const taxTreatment = getTaxTreatment(results.taxableAmount, s);
+  results.taxLines = taxTreatment.lines;
+  results.salesTax = taxTreatment.total;
   
   // 8. Calculate trade-in tax savings (for display)
-  results.tradeTaxSavings = Math.min(state.tradeValue, results.taxableBeforeTrade) * state.taxRate;
+  results.tradeTaxSavings = results.tradeCredit.amount * s.taxRate;
   
   // 9. Calculate total before trade equity
   results.totalBeforeTrade = 
@@ -175,35 +1066,259 @@ function calculate() {
     results.nonTaxableFees;
   
   // 10. Calculate out-the-door price
-  // Manufacturer rebate applied here, after tax has been calculated
-  results.outTheDoor = results.totalBeforeTrade - results.tradeEquity - results.manufacturerRebate;
+  // Post-tax rebates applied here, after tax has been calculated
+  results.outTheDoor = results.totalBeforeTrade - results.tradeEquity - results.postTaxDiscounts;
   
   // 11. Calculate amount to finance
-  results.amountToFinance = Math.max(0, results.outTheDoor - state.downPayment);
+  // Add-ons, fees and tax marked "paid at signing" are paid in cash along
+  // with the down payment instead of being financed
+  results.signingLines = [
+    ...s.addons.filter(a => a.paidAtSigning).map(a => ({ name: a.name, amount: a.price })),
+    ...results.feeLines.filter(f => s.feesPaidAtSigning[f.id]).map(f => ({ name: f.name, amount: f.amount })),
+    ...(s.taxPaidAtSigning ? results.taxLines.filter(l => l.amount > 0).map(l => ({ name: l.label, amount: l.amount })) : [])
+  ];
+  results.paidAtSigning = results.signingLines.reduce((sum, line) => sum + line.amount, 0);
+  results.dueAtSigning = Math.min(results.outTheDoor, s.downPayment + results.paidAtSigning);
+  
+  // Lender fees are financed with the loan; they're a prepaid finance
+  // charge, so they count toward the APR (see buildTilaDisclosure)
+  results.amountToFinance = Math.max(0, results.outTheDoor - s.downPayment - results.paidAtSigning);
+  results.prepaidFinanceCharge = results.amountToFinance > 0 ? s.lenderFee : 0;
+  results.amountToFinance += results.prepaidFinanceCharge;
   
   // 12. Calculate monthly payments for all terms
+  // A first payment more (or less) than a month out adds (or saves) odd-days
+  // interest; a balloon is paid on top of the last payment
   results.payments = {};
-  const terms = [24, 36, 48, 60, 72, 84];
-  
-  terms.forEach(term => {
-    const aprInfo = getAprForTerm(term);
-    const payment = calculateMonthlyPayment(results.amountToFinance, aprInfo.rate, term);
-    const totalPayments = payment * term;
+  results.paymentDates = getPaymentDates(s);
+  const oddDays = results.paymentDates.oddDays;
+  results.bookValue = s.bookValue || s.vehiclePrice;
+  results.ltv = results.bookValue > 0 ? results.amountToFinance / results.bookValue : null;
+  results.balloon = getBalloonAmount(results.amountToFinance, s);
+  const balloon = results.balloon;
+  
+  getLoanTerms().forEach(term => {
+    const aprInfo = getAprForTerm(term, results.ltv, s);
+    const payment = calculateMonthlyPayment(results.amountToFinance, aprInfo.rate, term, oddDays, balloon);
+    const totalPayments = payment * term + balloon;
     const totalInterest = totalPayments - results.amountToFinance;
+    const regularPayment = calculateMonthlyPayment(results.amountToFinance, aprInfo.rate, term, 0, balloon);
+    
+    // The same loan without the balloon, for comparison
+    const standardPayment = calculateMonthlyPayment(results.amountToFinance, aprInfo.rate, term, oddDays);
     
     results.payments[term] = {
       apr: aprInfo.rate,
       isSpecial: aprInfo.isSpecial,
+      isInterpolated: aprInfo.isInterpolated,
+      source: aprInfo.source,
       payment: payment,
       totalPayments: totalPayments,
-      totalInterest: totalInterest
+      totalInterest: totalInterest,
+      oddDaysInterest: getOddDaysInterest(results.amountToFinance, aprInfo.rate, oddDays),
+      deferralCost: (payment - regularPayment) * term,  // Negative when the first payment is early
+      standard: {
+        payment: standardPayment,
+        totalPayments: standardPayment * term,
+        totalInterest: standardPayment * term - results.amountToFinance
+      }
     };
   });
   
+  // 13. Lease numbers for the selected term (dealer leases only)
+  results.lease = s.dealType === 'lease' && !isPrivateSale ? calculateLease(results, s) : null;
+  
   return results;
 }
 
 
+// ============================================
+// LEASE CALCULATIONS
+// ============================================
+
+/**
+ * Lease payment, drive-off and total cost for the selected term, built
+ * from the purchase results so price, discounts, add-ons, fees, trade-in
+ * and tax rate are shared.
+ * Illinois taxes a lease on each monthly payment and on cash and rebates
+ * that reduce the cap cost; trade-in equity reduces it untaxed.
+ */
+function calculateLease(results, s = state) {
+  const lease = s.lease;
+  const term = s.selectedTerm;
+  const taxRate = results.taxRate;
+  
+  const msrp = lease.msrp > 0 ? lease.msrp : s.vehiclePrice;
+  const residualPct = lease.residualPct !== null ? lease.residualPct : getResidualForTerm(term);
+  const residualValue = msrp * residualPct;
+  
+  // Capitalized cost: negotiated price, add-ons and the acquisition fee,
+  // less cash, post-tax rebates and trade-in equity (negative equity adds)
+  const grossCapCost = results.sellingPrice + results.totalAddons + lease.acquisitionFee;
+  const taxedReduction = lease.capCostReduction + results.postTaxDiscounts;
+  const capCostReduction = taxedReduction + results.tradeEquity;
+  const adjustedCapCost = grossCapCost - capCostReduction;
+  
+  // Monthly payment: depreciation plus rent charge, plus tax on both
+  const depreciation = (adjustedCapCost - residualValue) / term;
+  const rentCharge = (adjustedCapCost + residualValue) * lease.moneyFactor;
+  const basePayment = Math.max(0, depreciation + rentCharge);
+  const monthlyTax = basePayment * taxRate;
+  const payment = basePayment + monthlyTax;
+  
+  // Due at signing: first payment, cash down, fees, and tax on the cap cost
+  // reduction and taxable fees
+  const fees = results.taxableFees + results.nonTaxableFees;
+  const upfrontTax = (taxedReduction + results.taxableFees) * taxRate;
+  const driveOff = payment + lease.capCostReduction + fees + upfrontTax;
+  
+  // Miles over the allowance are billed at lease end
+  const expectedMiles = lease.expectedMiles !== null ? lease.expectedMiles : lease.mileageAllowance;
+  const excessMiles = Math.max(0, expectedMiles - lease.mileageAllowance) * term / 12;
+  const excessMileageCost = excessMiles * CONFIG.lease.excessMileageCharge;
+  
+  const totalCost = driveOff + payment * (term - 1) + excessMileageCost;
+  
+  // Lease vs. buy over the same term: buying costs what you pay (cash
+  // down, items paid at signing and the loan), less what the vehicle is
+  // worth when the loan ends
+  const buy = results.payments[term];
+  const buyTotalPaid = results.dueAtSigning + buy.totalPayments;
+  const buyNetCost = buyTotalPaid - residualValue;
+  
+  return {
+    term: term,
+    msrp: msrp,
+    residualPct: residualPct,
+    residualValue: residualValue,
+    moneyFactor: lease.moneyFactor,
+    aprEquivalent: lease.moneyFactor * 2400,
+    grossCapCost: grossCapCost,
+    capCostReduction: capCostReduction,
+    adjustedCapCost: adjustedCapCost,
+    depreciation: depreciation,
+    rentCharge: rentCharge,
+    basePayment: basePayment,
+    monthlyTax: monthlyTax,
+    payment: payment,
+    fees: fees,
+    upfrontTax: upfrontTax,
+    driveOff: driveOff,
+    excessMiles: excessMiles,
+    excessMileageCost: excessMileageCost,
+    totalCost: totalCost,
+    vsBuy: {
+      buyPayment: buy.payment,
+      buyDueAtSigning: results.dueAtSigning,
+      buyTotalPaid: buyTotalPaid,
+      valueAtEnd: residualValue,
+      buyNetCost: buyNetCost,
+      leaseNetCost: totalCost,
+      leaseSavings: buyNetCost - totalCost
+    }
+  };
+}
+
+
+// ============================================
+// TARGET PAYMENT SOLVER
+// ============================================
+
+// Last target solve, reused until one of its inputs changes
+let lastTargetSolve = { key: null, solved: null };
+
+/**
+ * Monthly payment for a vehicle price, with every other input taken from
+ * the state object s
+ */
+function paymentForPrice(price, term, s) {
+  const priced = { ...s, vehiclePrice: price };
+  const results = calculate(priced);
+  const aprInfo = getAprForTerm(term, results.ltv, priced);
+  return {
+    results: results,
+    apr: aprInfo.rate,
+    isSpecial: aprInfo.isSpecial,
+    payment: calculateMonthlyPayment(
+      results.amountToFinance, aprInfo.rate, term, results.paymentDates.oddDays, results.balloon)
+  };
+}
+
+/**
+ * Highest vehicle price whose monthly payment fits a target, using the
+ * same fees, tax, add-ons, discounts and trade-in as calculate().
+ * Payment rises with price but not in a straight line (trade-in credit
+ * caps, private-party tax brackets), so this bisects on the price
+ * instead of rearranging the payment formula.
+ * Returns { vehiclePrice, payment, apr, isSpecial, term, results }, with
+ * vehiclePrice 0 when fees and tax alone already exceed the target.
+ */
+function solveForTargetPayment({ payment, term, creditTier, downPayment }) {
+  // Works on a copy of state. An entered credit score only applies to the
+  // tier it selected, so another tier is priced at its minimum score
+  const s = {
+    ...state,
+    creditTier: creditTier,
+    creditScore: creditTier === state.creditTier ? state.creditScore : null,
+    downPayment: downPayment,
+    dealType: 'purchase'
+  };
+  
+  // Nothing fits: the payment on a $0 vehicle is already over target
+  let best = paymentForPrice(0, term, s);
+  if (best.payment > payment) {
+    return { vehiclePrice: 0, term: term, ...best };
+  }
+  
+  // Find a price that's over the target, then bisect to the dollar
+  let low = 0;
+  let high = 50000;
+  while (paymentForPrice(high, term, s).payment <= payment && high < 10000000) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (paymentForPrice(mid, term, s).payment <= payment) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  best = paymentForPrice(low, term, s);
+  return { vehiclePrice: low, term: term, ...best };
+}
+
+/**
+ * Solver inputs from state.target, with blanks taken from the form above
+ */
+function getTargetInputs() {
+  return {
+    payment: state.target.payment,
+    term: state.target.term,
+    creditTier: state.target.creditTier || state.creditTier,
+    downPayment: state.target.downPayment !== null ? state.target.downPayment : state.downPayment
+  };
+}
+
+/**
+ * solveForTargetPayment() for the current inputs, re-run only when the
+ * target or a deal input it reads has changed (not the vehicle price,
+ * which is what it solves for)
+ */
+function getTargetSolution() {
+  const inputs = getTargetInputs();
+  const key = JSON.stringify([inputs, {
+    ...state, vehiclePrice: null, selectedTerm: null, quotedApr: null, prepayment: null, target: null
+  }]);
+  if (lastTargetSolve.key !== key) {
+    lastTargetSolve = { key: key, solved: solveForTargetPayment(inputs) };
+  }
+  return lastTargetSolve.solved;
+}
+
+
 // ============================================
 // UI UPDATE FUNCTIONS
 // ============================================
@@ -216,6 +1331,13 @@ function updateResults() {
   // dp-calculator.js calls dpUpdateResults() instead.
   if (!document.getElementById('otdPrice')) return;
 
+  // Fees depend on state, county, vehicle and delivery date, so refresh them first
+  renderFeesList();
+
+  // The affordability solver doesn't need a vehicle price
+  updateTargetResult();
+  updateOfferChoiceField();
+
   const hasVehiclePrice = state.vehiclePrice > 0;
   const results = calculate();
   
@@ -238,17 +1360,41 @@ function updateResults() {
   // Update main OTD price
   document.getElementById('otdPrice').textContent = formatCurrency(results.outTheDoor);
   
-  // Update amount to finance
+  // Update amount to finance, and what's paid in cash
   document.getElementById('amountToFinance').textContent = formatCurrency(results.amountToFinance);
+  const signing = document.getElementById('dueAtSigning');
+  signing.style.display = results.dueAtSigning > 0 ? 'block' : 'none';
+  signing.textContent = `${formatCurrency(results.dueAtSigning)} due at signing`;
   
   // Update detailed breakdown
   updateBreakdown(results);
   
+  // Update loan-to-value checks
+  updateLtvResults(results);
+  
   // Update payment display
   updatePaymentDisplay(results);
   
   // Update comparison table
   updateCompareTable(results);
+  
+  // Update dealer markup check
+  updateMarkupResults(results);
+  
+  // Update rebate vs. special APR comparison
+  updateOfferComparison(results);
+  
+  // Update amortization schedule for the selected term
+  updateAmortizationTable(results);
+  
+  // Update the payoff simulator for the selected term
+  updatePrepaymentResults(results);
+  
+  // Update the Truth-in-Lending disclosure for the selected term
+  updateTilaDisclosure(results);
+  
+  // Update lease results (lease mode only)
+  updateLeaseResults(results);
 }
 
 /**
@@ -264,16 +1410,16 @@ function updateBreakdown(results) {
     <span>${formatCurrency(state.vehiclePrice)}</span>
   </div>`;
   
-  // Discounts (if any) — dealer discounts shown here (pre-tax)
-  if (state.discounts.length > 0) {
-    state.discounts
-      .filter(d => d.id !== 'manufacturer')
-      .forEach(d => {
-        html += `<div class="otd-breakdown-row indent">
-          <span>− ${d.name}</span>
-          <span class="negative">−${formatCurrency(d.amount)}</span>
-        </div>`;
-      });
+  // Pre-tax discounts (if any)
+  const preTaxLines = results.discountLines.filter(d => d.appliedBeforeTax);
+  if (preTaxLines.length > 0) {
+    html += `<div class="otd-breakdown-group">Reductions before tax</div>`;
+    preTaxLines.forEach(d => {
+      html += `<div class="otd-breakdown-row indent">
+        <span>− ${d.name}<small class="otd-breakdown-note">${d.taxNote}</small></span>
+        <span class="negative">−${formatCurrency(d.amount)}</span>
+      </div>`;
+    });
     html += `<div class="otd-breakdown-row subtotal">
       <span>Selling price</span>
       <span>${formatCurrency(results.sellingPrice)}</span>
@@ -298,51 +1444,54 @@ function updateBreakdown(results) {
   </div>`;
   
   // Taxable fees
-  html += `<div class="otd-breakdown-row indent">
-    <span>+ Doc preparation</span>
-    <span>${formatCurrency(CONFIG.fees.docPrep.amount)}</span>
-  </div>`;
-  html += `<div class="otd-breakdown-row indent">
-    <span>+ ERT fee</span>
-    <span>${formatCurrency(CONFIG.fees.ert.amount)}</span>
-  </div>`;
+  results.feeLines.filter(f => f.taxable && f.amount > 0).forEach(fee => {
+    const capNote = fee.isOverCap
+      ? `<small class="otd-breakdown-note">Over the state cap of ${formatCurrency(fee.cap)}</small>`
+      : '';
+    html += `<div class="otd-breakdown-row indent">
+      <span>+ ${fee.name}${capNote}</span>
+      <span>${formatCurrency(fee.amount)}</span>
+    </div>`;
+  });
   
   // Trade-in tax credit (if applicable)
-  if (state.tradeValue > 0) {
+  if (results.tradeCredit.amount > 0) {
+    const capNote = results.tradeCredit.isCapped
+      ? `<small class="otd-breakdown-note">${results.tradeCredit.note}</small>`
+      : '';
     html += `<div class="otd-breakdown-row indent">
-      <span>− Trade-in (tax credit)</span>
-      <span class="negative">−${formatCurrency(state.tradeValue)}</span>
+      <span>− Trade-in (tax credit)${capNote}</span>
+      <span class="negative">−${formatCurrency(results.tradeCredit.amount)}</span>
     </div>`;
   }
   
-  // Taxable amount
-  html += `<div class="otd-breakdown-row subtotal">
-    <span>Taxable amount</span>
-    <span>${formatCurrency(results.taxableAmount)}</span>
-  </div>`;
+  // Taxable amount (Illinois private-party tax is flat, so there isn't one)
+  if (!(results.isPrivateSale && state.titleState === 'IL')) {
+    html += `<div class="otd-breakdown-row subtotal">
+      <span>Taxable amount</span>
+      <span>${formatCurrency(results.taxableAmount)}</span>
+    </div>`;
+  }
   
-  // Sales tax
-  html += `<div class="otd-breakdown-row">
-    <span>Sales tax (${formatPercent(results.taxRate)})</span>
-    <span>${formatCurrency(results.salesTax)}</span>
-  </div>`;
+  // Sales tax (one line per collecting state)
+  results.taxLines.forEach(line => {
+    const note = line.note ? `<small class="otd-breakdown-note">${line.note}</small>` : '';
+    html += `<div class="otd-breakdown-row">
+      <span>${line.label}${note}</span>
+      <span>${formatCurrency(line.amount)}</span>
+    </div>`;
+  });
   
   // Non-taxable fees
-  html += `<div class="otd-breakdown-row indent">
-    <span>+ Title</span>
-    <span>${formatCurrency(CONFIG.fees.title.amount)}</span>
-  </div>`;
-  html += `<div class="otd-breakdown-row indent">
-    <span>+ Registration</span>
-    <span>${formatCurrency(CONFIG.fees.registration.amount)}</span>
-  </div>`;
-  
-  if (state.isCookCounty) {
+  results.feeLines.filter(f => !f.taxable && f.amount > 0).forEach(fee => {
+    const capNote = fee.isOverCap
+      ? `<small class="otd-breakdown-note">Over the state cap of ${formatCurrency(fee.cap)}</small>`
+      : '';
     html += `<div class="otd-breakdown-row indent">
-      <span>+ Cook County fee</span>
-      <span>${formatCurrency(CONFIG.fees.cookCounty.amount)}</span>
+      <span>+ ${fee.name}${capNote}</span>
+      <span>${formatCurrency(fee.amount)}</span>
     </div>`;
-  }
+  });
   
   // Total before trade equity
   html += `<div class="otd-breakdown-row subtotal">
@@ -360,20 +1509,16 @@ function updateBreakdown(results) {
     </div>`;
   }
 
-  // Manufacturer rebate — applied after tax
-  if (results.manufacturerRebate > 0) {
-    html += `<div class="otd-breakdown-row">
-      <span>− Manufacturer Rebate</span>
-      <span class="negative">−${formatCurrency(results.manufacturerRebate)}</span>
-    </div>`;
-  }
-  
-  // Down payment (if applicable)
-  if (state.downPayment > 0) {
-    html += `<div class="otd-breakdown-row">
-      <span>− Down payment</span>
-      <span class="negative">−${formatCurrency(state.downPayment)}</span>
-    </div>`;
+  // Post-tax rebates (if any)
+  const postTaxLines = results.discountLines.filter(d => !d.appliedBeforeTax);
+  if (postTaxLines.length > 0) {
+    html += `<div class="otd-breakdown-group">Reductions after tax</div>`;
+    postTaxLines.forEach(d => {
+      html += `<div class="otd-breakdown-row">
+        <span>− ${d.name}<small class="otd-breakdown-note">${d.taxNote}</small></span>
+        <span class="negative">−${formatCurrency(d.amount)}</span>
+      </div>`;
+    });
   }
   
   // Final OTD price
@@ -382,6 +1527,35 @@ function updateBreakdown(results) {
     <span>${formatCurrency(results.outTheDoor)}</span>
   </div>`;
   
+  // How the OTD price is paid: cash at signing vs. financed
+  html += `<div class="otd-breakdown-group">Paid at signing</div>`;
+  if (state.downPayment > 0) {
+    html += `<div class="otd-breakdown-row indent">
+      <span>Down payment</span>
+      <span>${formatCurrency(state.downPayment)}</span>
+    </div>`;
+  }
+  results.signingLines.forEach(line => {
+    html += `<div class="otd-breakdown-row indent">
+      <span>${line.name}</span>
+      <span>${formatCurrency(line.amount)}</span>
+    </div>`;
+  });
+  html += `<div class="otd-breakdown-row subtotal">
+    <span>Due at signing</span>
+    <span>${formatCurrency(results.dueAtSigning)}</span>
+  </div>`;
+  if (results.prepaidFinanceCharge > 0) {
+    html += `<div class="otd-breakdown-row indent">
+      <span>+ Lender fee (financed)</span>
+      <span>${formatCurrency(results.prepaidFinanceCharge)}</span>
+    </div>`;
+  }
+  html += `<div class="otd-breakdown-row subtotal">
+    <span>Financed</span>
+    <span>${formatCurrency(results.amountToFinance)}</span>
+  </div>`;
+  
   // Legend for non-taxable items
   if (state.addons.some(a => !a.taxable)) {
     html += `<div class="otd-breakdown-legend">★ Non-taxable product</div>`;
@@ -401,11 +1575,132 @@ function updatePaymentDisplay(results) {
   document.getElementById('monthlyPayment').innerHTML = 
     `${formatCurrency(payment.payment)}<span>/mo</span>`;
   document.getElementById('paymentApr').textContent = 
-    `@ ${payment.apr.toFixed(2)}% APR${specialMarker}`;
+    `@ ${payment.apr.toFixed(2)}% APR${specialMarker}${payment.source ? ` · ${payment.source}` : ''}`;
   document.getElementById('totalInterest').textContent = 
     formatCurrency(payment.totalInterest);
   document.getElementById('totalPayments').textContent = 
     formatCurrency(payment.totalPayments);
+  
+  // Balloon due with the last payment
+  const balloonNote = document.getElementById('paymentBalloon');
+  if (results.balloon > 0) {
+    const lastPayment = addMonths(results.paymentDates.firstPaymentDate, state.selectedTerm - 1);
+    const extraInterest = payment.totalInterest - payment.standard.totalInterest;
+    balloonNote.textContent = `Plus a ${formatCurrency(results.balloon)} balloon due ${formatDate(lastPayment)}. ` +
+      `Versus a standard ${state.selectedTerm}-month loan (${formatCurrency(payment.standard.payment)}/mo), ` +
+      `that's ${formatCurrency(extraInterest)} more interest.`;
+    balloonNote.style.display = 'block';
+  } else {
+    balloonNote.style.display = 'none';
+  }
+  
+  // What moving the first payment off the regular one-month date costs
+  const dates = results.paymentDates;
+  const deferral = document.getElementById('paymentDeferral');
+  if (dates.oddDays === 0 || results.amountToFinance <= 0) {
+    deferral.style.display = 'none';
+    return;
+  }
+  deferral.style.display = 'block';
+  const perMonth = payment.deferralCost / state.selectedTerm;
+  deferral.textContent = dates.oddDays > 0
+    ? `First payment ${formatDate(dates.firstPaymentDate)}, ${dates.daysToFirstPayment} days after signing. ` +
+      `The extra ${dates.oddDays} days add ${formatCurrency(payment.oddDaysInterest)} interest to the loan, ` +
+      `${formatCurrency(payment.deferralCost)} in all (${formatCurrency(perMonth)}/mo).`
+    : `First payment ${formatDate(dates.firstPaymentDate)}, ${dates.daysToFirstPayment} days after signing. ` +
+      `Paying ${-dates.oddDays} days early saves ${formatCurrency(-payment.deferralCost)} in interest.`;
+}
+
+/**
+ * Update the dealer markup check for the selected term
+ */
+function updateMarkupResults(results) {
+  const panel = document.getElementById('markupResult');
+  if (!panel) return;
+  
+  document.getElementById('markupBuyRate').textContent =
+    `(our rate for ${state.selectedTerm} months: ${results.payments[state.selectedTerm].apr.toFixed(2)}%)`;
+  
+  const analysis = analyzeRateMarkup(results);
+  const warning = document.getElementById('markupWarning');
+  if (!analysis) {
+    panel.style.display = 'none';
+    warning.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'flex';
+  
+  const sign = amount => (amount >= 0 ? '+' : '−') + formatCurrency(Math.abs(amount));
+  document.getElementById('markupPoints').textContent =
+    `${analysis.markup >= 0 ? '+' : '−'}${Math.abs(analysis.markup).toFixed(2)} pts`;
+  document.getElementById('markupPoints').classList.toggle('negative', analysis.overCap);
+  document.getElementById('markupPayment').textContent = `${sign(analysis.paymentDifference)}/mo`;
+  document.getElementById('markupInterest').textContent = sign(analysis.extraInterest);
+  document.getElementById('markupReserve').textContent = formatCurrency(analysis.dealerReserve);
+  
+  if (analysis.overCap) {
+    warning.textContent = `That's more than the ${analysis.cap}-point markup most lenders allow on a ${analysis.term}-month loan. ` +
+      `Ask for the buy rate, or get pre-approved elsewhere and compare.`;
+    warning.style.display = 'block';
+  } else {
+    warning.style.display = 'none';
+  }
+}
+
+/**
+ * Update the loan-to-value checks and the approval warning under the
+ * amount to finance
+ */
+function updateLtvResults(results) {
+  const panel = document.getElementById('ltvResult');
+  if (!panel) return;
+  
+  const analysis = analyzeLtv(results);
+  const warning = document.getElementById('ltvWarning');
+  if (!analysis) {
+    panel.style.display = 'none';
+    warning.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'flex';
+  
+  const limits = state.lenderLimits;
+  const showLtv = (id, value, over) => {
+    const el = document.getElementById(id);
+    el.textContent = `${value.toFixed(1)}%`;
+    el.classList.toggle('negative', over);
+  };
+  showLtv('ltvFrontEnd', analysis.frontEndLtv, analysis.frontEndOver);
+  showLtv('ltvBackEnd', analysis.backEndLtv, analysis.backEndOver);
+  showLtv('ltvProducts', analysis.productsPct, analysis.productsExcess > 0);
+  
+  const problems = [];
+  if (analysis.frontEndOver) {
+    problems.push(`front-end LTV is ${analysis.frontEndLtv.toFixed(1)}% (limit ${limits.maxFrontEndLtv}%)`);
+  }
+  if (analysis.backEndOver) {
+    problems.push(`back-end LTV is ${analysis.backEndLtv.toFixed(1)}% (limit ${limits.maxBackEndLtv}%)`);
+  }
+  if (analysis.productsExcess > 0) {
+    problems.push(`financed protection products are ${analysis.productsPct.toFixed(1)}% of book value (limit ${limits.maxBackEndProducts}%)`);
+  }
+  if (problems.length === 0) {
+    warning.style.display = 'none';
+    return;
+  }
+  
+  let text = `This loan likely won't be approved as structured: ${problems.join('; ')}.`;
+  if (analysis.negativeEquity > 0) {
+    text += ` It includes ${formatCurrency(analysis.negativeEquity)} of negative equity from your trade-in.`;
+  }
+  if (analysis.extraDown > 0) {
+    text += ` About ${formatCurrency(analysis.extraDown)} more down would bring it under the LTV limits.`;
+  }
+  if (analysis.productsExcess > 0) {
+    text += ` Pay ${formatCurrency(analysis.productsExcess)} of the protection products at signing, or drop them.`;
+  }
+  warning.textContent = text;
+  warning.style.display = 'block';
 }
 
 /**
@@ -413,38 +1708,381 @@ function updatePaymentDisplay(results) {
  */
 function updateCompareTable(results) {
   const tbody = document.getElementById('compareTableBody');
-  const terms = [24, 36, 48, 60, 72, 84];
+  const hasBalloon = results.balloon > 0;
   let hasSpecialRates = false;
+  let hasInterpolatedRates = false;
+  
+  // With a balloon, each term is also compared with a standard loan
+  document.getElementById('compareTableHead').innerHTML = hasBalloon
+    ? '<tr><th>Term</th><th>APR</th><th>Payment</th><th>Total Cost</th><th>Standard Loan</th></tr>'
+    : '<tr><th>Term</th><th>APR</th><th>Payment</th><th>Interest</th></tr>';
   
   let html = '';
-  terms.forEach(term => {
+  getLoanTerms().forEach(term => {
     const p = results.payments[term];
     const isSelected = term === state.selectedTerm;
-    const specialMarker = p.isSpecial ? ' *' : '';
+    const marker = p.isSpecial ? ' *' : (p.isInterpolated ? ' †' : '');
     if (p.isSpecial) hasSpecialRates = true;
+    if (p.isInterpolated) hasInterpolatedRates = true;
     
-    html += `<tr class="${isSelected ? 'selected' : ''}" data-term="${term}">
+    html += hasBalloon
+      ? `<tr class="${isSelected ? 'selected' : ''}" data-term="${term}">
       <td>${term} mo</td>
-      <td>${p.apr.toFixed(2)}%${specialMarker}</td>
+      <td>${p.apr.toFixed(2)}%${marker}</td>
+      <td>${formatCurrency(p.payment)}</td>
+      <td>${formatCurrency(p.totalPayments)}<small>${formatCurrency(p.totalInterest)} interest</small></td>
+      <td>${formatCurrency(p.standard.totalPayments)}<small>${formatCurrency(p.standard.payment)}/mo · ${formatCurrency(p.standard.totalInterest)} interest</small></td>
+    </tr>`
+      : `<tr class="${isSelected ? 'selected' : ''}" data-term="${term}">
+      <td>${term} mo</td>
+      <td>${p.apr.toFixed(2)}%${marker}</td>
       <td>${formatCurrency(p.payment)}</td>
       <td>${formatCurrency(p.totalInterest)}</td>
     </tr>`;
   });
   
-  tbody.innerHTML = html;
+  tbody.innerHTML = html;
+  
+  // Show/hide the rate legend
+  const legend = document.getElementById('compareTableLegend');
+  if (legend) {
+    const notes = [];
+    if (hasSpecialRates) notes.push('* special rate');
+    if (hasInterpolatedRates) notes.push('† estimated from nearby terms');
+    legend.textContent = notes.join(' · ');
+    legend.style.display = notes.length > 0 ? 'block' : 'none';
+  }
+  
+  // Add click handlers to rows
+  tbody.querySelectorAll('tr').forEach(row => {
+    row.addEventListener('click', () => {
+      selectTerm(parseInt(row.dataset.term));
+    });
+  });
+}
+
+/**
+ * Update the amortization schedule for the selected term
+ */
+function updateAmortizationTable(results) {
+  const tbody = document.getElementById('amortizationTableBody');
+  if (!tbody) return;
+  
+  const term = state.selectedTerm;
+  const p = results.payments[term];
+  const schedule = buildAmortizationSchedule(
+    results.amountToFinance, p.apr, term, results.paymentDates.oddDays, results.balloon);
+  
+  document.getElementById('amortizationTitle').textContent =
+    `${term} months @ ${p.apr.toFixed(2)}% APR`;
+  
+  let html = '';
+  schedule.rows.forEach(row => {
+    html += `<tr>
+      <td>${row.number}</td>
+      <td>${formatCurrency(row.payment)}</td>
+      <td>${formatCurrency(row.principal)}</td>
+      <td>${formatCurrency(row.interest)}</td>
+      <td>${formatCurrency(row.balance)}</td>
+    </tr>`;
+    
+    // Yearly subtotal after every 12th (and the last) payment
+    if (row.number % 12 === 0 || row.number === term) {
+      const year = schedule.years[Math.ceil(row.number / 12) - 1];
+      html += `<tr class="otd-amortization-year">
+        <td>Year ${year.year}</td>
+        <td>${formatCurrency(year.payment)}</td>
+        <td>${formatCurrency(year.principal)}</td>
+        <td>${formatCurrency(year.interest)}</td>
+        <td>${formatCurrency(year.balance)}</td>
+      </tr>`;
+    }
+  });
+  
+  tbody.innerHTML = html;
+}
+
+/**
+ * Show the rebate-or-special-APR choice only when both are on the deal
+ */
+function updateOfferChoiceField() {
+  const field = document.getElementById('offerChoiceField');
+  if (!field) return;
+  field.style.display = hasRebateAprConflict() ? 'block' : 'none';
+}
+
+/**
+ * Update the rebate vs. special APR comparison (either-or offers only)
+ */
+function updateOfferComparison(results) {
+  const panel = document.getElementById('offerCompare');
+  if (!panel) return;
+  
+  const comparison = results.offerChoice === 'both' ? null : compareRebateVsApr();
+  if (!comparison) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'block';
+  
+  const cell = (o, isBetter) => `<td class="${isBetter ? 'better' : ''}">
+      ${formatCurrency(o.payment)}/mo @ ${o.apr.toFixed(2)}%
+      <small>${formatCurrency(o.totalInterest)} interest · ${formatCurrency(o.totalCost)} total</small>
+    </td>`;
+  
+  document.getElementById('offerCompareTableBody').innerHTML = comparison.terms.map(t => `
+    <tr class="${t.term === state.selectedTerm ? 'selected' : ''}">
+      <td>${t.term} mo</td>
+      ${cell(t.rebate, t.better === 'rebate')}
+      ${cell(t.apr, t.better === 'apr')}
+      <td>${t.breakEvenApr !== null ? t.breakEvenApr.toFixed(2) + '%' : '—'}</td>
+    </tr>
+  `).join('');
+  
+  // Recommendation for the selected term
+  const selected = comparison.terms.find(t => t.term === state.selectedTerm);
+  let verdict = selected.better === 'apr'
+    ? `At ${selected.term} months, the special APR saves ${formatCurrency(selected.savings)} over the ${formatCurrency(comparison.rebateAmount)} rebate.`
+    : `At ${selected.term} months, the ${formatCurrency(comparison.rebateAmount)} rebate saves ${formatCurrency(selected.savings)} over the special APR.`;
+  if (selected.breakEvenApr !== null) {
+    verdict += ` The special APR wins below ${selected.breakEvenApr.toFixed(2)}%.`;
+  } else if (!selected.apr.isSpecial) {
+    verdict += ` There's no special APR for this term.`;
+  }
+  if (selected.better !== results.offerChoice) {
+    verdict += ` Your estimate above uses the ${results.offerChoice === 'apr' ? 'special APR' : 'rebate'}.`;
+  }
+  document.getElementById('offerCompareVerdict').textContent = verdict;
+}
+
+/**
+ * Update the payoff simulator: prepayments vs. the standard schedule for
+ * the selected term
+ */
+function updatePrepaymentResults(results) {
+  const tbody = document.getElementById('prepayTableBody');
+  if (!tbody) return;
+  
+  const term = state.selectedTerm;
+  const standard = results.payments[term];
+  const options = state.prepayment;
+  const faster = simulatePrepayment(
+    results.amountToFinance, standard.apr, term, results.paymentDates.oddDays, options, results.balloon);
+  const firstPayment = results.paymentDates.firstPaymentDate;
+  
+  const rows = [
+    ['Payoff date', formatDate(addMonths(firstPayment, term - 1)), formatDate(addMonths(firstPayment, faster.months - 1))],
+    ['Payments', `${term}`, `${faster.months}`],
+    ['Total interest', formatCurrency(standard.totalInterest), formatCurrency(faster.totalInterest)],
+    ['Total paid', formatCurrency(standard.totalPayments), formatCurrency(faster.totalPaid)]
+  ];
+  tbody.innerHTML = rows.map(([label, standardValue, fasterValue]) => `<tr>
+    <td>${label}</td>
+    <td>${standardValue}</td>
+    <td>${fasterValue}</td>
+  </tr>`).join('');
+  
+  // A lump sum after the last payment is never paid, so flag it
+  const isLumpSumPastTerm = options.lumpSum > 0 && options.lumpSumMonth > term;
+  document.getElementById('prepayLumpSumMonth').classList.toggle('invalid', isLumpSumPastTerm);
+  
+  const hasPrepayment = options.extraMonthly > 0 || options.biweekly || options.lumpSum > 0;
+  const monthsSaved = term - faster.months;
+  let summary = `Saves ${formatCurrency(standard.totalInterest - faster.totalInterest)} in interest and pays off ` +
+    `${monthsSaved} month${monthsSaved === 1 ? '' : 's'} sooner.`;
+  if (!hasPrepayment) {
+    summary = 'Add an extra payment, the biweekly equivalent or a lump sum to see the savings.';
+  } else if (isLumpSumPastTerm) {
+    summary = `The lump sum is set for payment #${options.lumpSumMonth}, after the last of ${term}; ` +
+      `pick a payment from 1 to ${term}.`;
+  }
+  document.getElementById('prepaySummary').textContent = summary;
+  document.getElementById('prepayBiweeklyNote').textContent = options.biweekly
+    ? `(+${formatCurrency(standard.payment / 12)} a month)`
+    : '';
+}
+
+/**
+ * Update the Truth-in-Lending disclosure for the selected term
+ */
+function updateTilaDisclosure(results) {
+  const panel = document.getElementById('tilaBoxes');
+  if (!panel) return;
+  
+  const tila = buildTilaDisclosure(results);
+  document.getElementById('tilaEmpty').style.display = tila ? 'none' : 'block';
+  document.getElementById('tilaDetails').style.display = tila ? 'block' : 'none';
+  if (!tila) return;
+  
+  document.getElementById('tilaApr').textContent = `${tila.apr.toFixed(2)}%`;
+  document.getElementById('tilaFinanceCharge').textContent = formatCurrency(tila.financeCharge);
+  document.getElementById('tilaAmountFinanced').textContent = formatCurrency(tila.amountFinanced);
+  document.getElementById('tilaTotalOfPayments').textContent = formatCurrency(tila.totalOfPayments);
+  
+  // Payment schedule, with the balloon (if any) as a separate final payment
+  const regularCount = tila.finalPayment > tila.payment + 0.005 ? tila.term - 1 : tila.term;
+  let schedule = `${regularCount} monthly payments of ${formatCurrency(tila.payment)} starting ${formatDate(tila.firstPaymentDate)}`;
+  if (regularCount < tila.term) {
+    schedule += `, then a final payment of ${formatCurrency(tila.finalPayment)}`;
+  }
+  document.getElementById('tilaSchedule').textContent = schedule + '.';
+  
+  // Why the APR isn't the note rate
+  const reasons = [];
+  if (tila.prepaidFinanceCharge > 0) reasons.push('the lender fee');
+  if (tila.oddDays !== 0) reasons.push('the timing of the first payment');
+  document.getElementById('tilaAprNote').textContent =
+    Math.abs(tila.apr - tila.noteRate) >= 0.005 && reasons.length > 0
+      ? `The note rate is ${tila.noteRate.toFixed(2)}%; the APR differs because it counts ${reasons.join(' and ')}.`
+      : '';
+  
+  const lines = tila.itemization.map(line => `<tr>
+    <td>${line.label}</td>
+    <td>${formatCurrency(line.amount)}</td>
+  </tr>`);
+  lines.push(`<tr class="total">
+    <td>Amount financed</td>
+    <td>${formatCurrency(tila.amountFinanced)}</td>
+  </tr>`);
+  if (tila.prepaidFinanceCharge > 0) {
+    lines.push(`<tr>
+      <td>Prepaid finance charge (added to the loan)</td>
+      <td>${formatCurrency(tila.prepaidFinanceCharge)}</td>
+    </tr>`);
+  }
+  document.getElementById('tilaItemizationBody').innerHTML = lines.join('');
+}
+
+/**
+ * Download the selected term's amortization schedule as CSV
+ */
+function exportAmortizationCsv() {
+  const results = calculate();
+  const term = state.selectedTerm;
+  const schedule = buildAmortizationSchedule(
+    results.amountToFinance, results.payments[term].apr, term, results.paymentDates.oddDays, results.balloon);
+  const money = amount => amount.toFixed(2);
+  
+  // Year totals follow each year's payments; Row type tells them apart and
+  // Payment # stays blank so the column is numeric
+  const lines = ['Row type,Year,Payment #,Payment,Principal,Interest,Balance'];
+  schedule.rows.forEach(row => {
+    const yearNumber = Math.ceil(row.number / 12);
+    lines.push(['Payment', yearNumber, row.number, money(row.payment), money(row.principal), money(row.interest), money(row.balance)].join(','));
+    
+    if (row.number % 12 === 0 || row.number === term) {
+      const year = schedule.years[yearNumber - 1];
+      lines.push(['Year total', yearNumber, '', money(year.payment), money(year.principal), money(year.interest), money(year.balance)].join(','));
+    }
+  });
+  
+  const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `amortization-${term}-months.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Update the lease results and lease-vs-buy comparison
+ */
+function updateLeaseResults(results) {
+  const panel = document.getElementById('leaseResults');
+  if (!panel) return;
+  
+  const lease = results.lease;
+  document.getElementById('leaseAprEquivalent').textContent =
+    `(about ${(state.lease.moneyFactor * 2400).toFixed(2)}% APR)`;
+  document.getElementById('leaseResidual').placeholder =
+    (getResidualForTerm(state.selectedTerm) * 100).toFixed(0);
+  
+  if (!lease) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'block';
+  
+  document.getElementById('leaseResultsTitle').textContent = `Lease (${lease.term} months)`;
+  document.getElementById('leasePayment').innerHTML =
+    `${formatCurrency(lease.payment)}<span>/mo</span>`;
+  
+  // Lease tax follows the Illinois method; other states may tax it differently
+  const taxNote = state.titleState === 'IL' ? '' : ' · Illinois lease tax method';
+  document.getElementById('leasePaymentNote').textContent =
+    `incl. ${formatCurrency(lease.monthlyTax)}/mo tax · residual ${formatCurrency(lease.residualValue)}${taxNote}`;
+  document.getElementById('leaseDriveOff').textContent = formatCurrency(lease.driveOff);
+  document.getElementById('leaseTotalCost').textContent = formatCurrency(lease.totalCost);
+  
+  const vs = lease.vsBuy;
+  const rows = [
+    ['Monthly payment', lease.payment, vs.buyPayment],
+    ['Due at signing', lease.driveOff, vs.buyDueAtSigning],
+    ['Total paid', lease.totalCost, vs.buyTotalPaid],
+    ['Vehicle value at end', 0, vs.valueAtEnd]
+  ];
+  if (lease.excessMileageCost > 0) {
+    rows.splice(3, 0, [`Excess miles (${Math.round(lease.excessMiles).toLocaleString()})`, lease.excessMileageCost, 0]);
+  }
+  
+  let html = rows.map(([label, leaseValue, buyValue]) => `<tr>
+    <td>${label}</td>
+    <td>${formatCurrency(leaseValue)}</td>
+    <td>${formatCurrency(buyValue)}</td>
+  </tr>`).join('');
+  html += `<tr class="total">
+    <td>Net cost</td>
+    <td>${formatCurrency(vs.leaseNetCost)}</td>
+    <td>${formatCurrency(vs.buyNetCost)}</td>
+  </tr>`;
+  document.getElementById('leaseCompareTableBody').innerHTML = html;
+  
+  document.getElementById('leaseVerdict').textContent = vs.leaseSavings >= 0
+    ? `Over ${lease.term} months, leasing costs ${formatCurrency(vs.leaseSavings)} less than buying, after counting what the vehicle is worth when the loan ends.`
+    : `Over ${lease.term} months, buying costs ${formatCurrency(-vs.leaseSavings)} less than leasing, after counting what the vehicle is worth when the loan ends.`;
+}
+
+/**
+ * Update the "What can I afford?" result from the target payment
+ */
+function updateTargetResult() {
+  const panel = document.getElementById('targetResult');
+  if (!panel) return;
   
-  // Show/hide special rates legend
-  const legend = document.getElementById('compareTableLegend');
-  if (legend) {
-    legend.style.display = hasSpecialRates ? 'block' : 'none';
+  document.getElementById('targetDownPayment').placeholder = state.downPayment.toLocaleString();
+  
+  if (state.target.payment <= 0) {
+    panel.style.display = 'none';
+    return;
   }
+  panel.style.display = 'flex';
   
-  // Add click handlers to rows
-  tbody.querySelectorAll('tr').forEach(row => {
-    row.addEventListener('click', () => {
-      selectTerm(parseInt(row.dataset.term));
-    });
-  });
+  const solved = getTargetSolution();
+  
+  document.getElementById('targetMaxPrice').textContent = formatCurrency(solved.vehiclePrice);
+  document.getElementById('targetOtd').textContent = formatCurrency(solved.results.outTheDoor);
+  document.getElementById('targetUseBtn').style.display = solved.vehiclePrice > 0 ? '' : 'none';
+  
+  const detail = solved.vehiclePrice > 0
+    ? `${formatCurrency(solved.payment)}/mo for ${solved.term} months at ${solved.apr.toFixed(2)}%${solved.isSpecial ? ' (special)' : ''}, financing ${formatCurrency(solved.results.amountToFinance)}`
+    : `Fees and taxes alone come to ${formatCurrency(solved.payment)}/mo over ${solved.term} months; add cash down or lengthen the term`;
+  document.getElementById('targetDetail').textContent = detail;
+}
+
+/**
+ * Show the effective contract date and the regular first payment date
+ */
+function updatePaymentDateFields() {
+  const dates = getPaymentDates();
+  document.getElementById('contractDate').value = dates.contractDate;
+  document.getElementById('firstPaymentHint').textContent =
+    `(one month after signing is ${formatDate(dates.regularFirstPayment)})`;
+  
+  // A first payment on or before signing is ignored
+  document.getElementById('firstPaymentDate').classList.toggle(
+    'invalid', !!state.firstPaymentDate && state.firstPaymentDate !== dates.firstPaymentDate);
 }
 
 /**
@@ -456,16 +2094,25 @@ function updateTradeEquity() {
   const equityValue = document.getElementById('tradeEquityValue');
   const taxSavings = document.getElementById('tradeTaxSavings');
   const taxSavingsValue = document.getElementById('tradeTaxSavingsValue');
+  const taxSavingsNote = document.getElementById('tradeTaxSavingsNote');
   
   if (state.tradeValue > 0 || state.tradeOwed > 0) {
     display.style.display = 'flex';
     equityValue.textContent = formatCurrency(equity);
     equityValue.className = `otd-computed-value ${equity >= 0 ? 'positive' : 'negative'}`;
     
-    if (state.tradeValue > 0) {
-      const savings = state.tradeValue * state.taxRate;
+    // Savings follow the same credit rules (and cap) as the tax math
+    const results = calculate();
+    
+    if (results.tradeTaxSavings > 0) {
       taxSavings.style.display = 'flex';
-      taxSavingsValue.textContent = formatCurrency(savings);
+      taxSavingsValue.textContent = formatCurrency(results.tradeTaxSavings);
+      if (taxSavingsNote) {
+        taxSavingsNote.textContent = results.tradeCredit.isCapped
+          ? `(credit capped at ${formatCurrency(results.tradeCredit.cap)})`
+          : '';
+        taxSavingsNote.title = results.tradeCredit.note;
+      }
     } else {
       taxSavings.style.display = 'none';
     }
@@ -483,13 +2130,18 @@ function updateTaxRate() {
   const rateValue = document.getElementById('taxRateValue');
   const location = document.getElementById('taxRateLocation');
   
-  if (state.zipCode.length === 5) {
-    // Use the new tax lookup system
-    const taxInfo = taxLookup.getTaxRate(state.zipCode);
+  // Rate lookup belongs to the state where the vehicle is titled. Flat-rate
+  // states don't need a location; Illinois returns null until one matches
+  const lookup = STATE_TAX_MODULES[state.titleState].getTaxRate(state.zipCode, state.deliveryDate);
+  
+  if (lookup) {
+    // Border ZIPs: use the jurisdiction the buyer picked for this ZIP
+    const index = state.taxJurisdiction.zip === state.zipCode ? state.taxJurisdiction.index : 0;
+    const taxInfo = lookup.candidates[index] || lookup.candidates[0];
     
     state.taxRate = taxInfo.rate;
     state.taxLocation = taxInfo.location;
-    state.isCookCounty = taxInfo.county === 'COOK' || taxInfo.county === 'COOK_CHICAGO';
+    state.taxCounty = taxInfo.county;
     
     rateValue.textContent = formatPercent(taxInfo.rate);
     
@@ -498,21 +2150,77 @@ function updateTaxRate() {
       location.textContent = `(${taxInfo.location})*`;
       location.title = 'ZIP code not found - using statewide rate. Verify with dealer.';
       location.style.fontStyle = 'italic';
+    } else if (taxInfo.isMunicipalRateUnknown) {
+      location.textContent = `(${taxInfo.location})*`;
+      location.title = `County rate only: any home-rule surcharge for ${taxInfo.municipality} isn't in our rate table yet. Verify with dealer.`;
+      location.style.fontStyle = 'italic';
     } else {
       location.textContent = `(${taxInfo.location})`;
-      location.title = '';
+      location.title = lookup.matchLabel ? `Matched ${lookup.matchLabel}` : '';
       location.style.fontStyle = 'normal';
     }
     
     display.style.display = 'flex';
+    renderJurisdictionPicker(lookup.candidates, index);
   } else {
+    state.taxRate = CONFIG.defaultTaxRate;
+    state.taxLocation = '';
+    state.taxCounty = null;
     display.style.display = 'none';
+    renderJurisdictionPicker([], 0);
   }
   
   // Tax rate affects trade-in savings display
   updateTradeEquity();
 }
 
+/**
+ * Render the jurisdiction picker for ZIPs that cross county or city lines
+ * Hidden when the ZIP resolves to a single jurisdiction
+ */
+function renderJurisdictionPicker(candidates, selectedIndex) {
+  const picker = document.getElementById('taxJurisdictionPicker');
+  if (!picker) return;
+  
+  if (candidates.length < 2) {
+    picker.innerHTML = '';
+    picker.style.display = 'none';
+    return;
+  }
+  
+  picker.innerHTML = `
+    <label class="otd-label" for="taxJurisdictionSelect">
+      This location crosses jurisdiction lines. Where will the vehicle be registered?
+    </label>
+    <select class="otd-select otd-select-small" id="taxJurisdictionSelect">
+      ${candidates.map((c, i) => `
+        <option value="${i}"${i === selectedIndex ? ' selected' : ''}>${c.location} (${formatPercent(c.rate)})</option>
+      `).join('')}
+    </select>
+  `;
+  picker.style.display = 'block';
+  
+  document.getElementById('taxJurisdictionSelect').addEventListener('change', (e) => {
+    state.taxJurisdiction = { zip: state.zipCode, index: parseInt(e.target.value) };
+    // Re-run the page's ZIP handler so every dependent display refreshes
+    document.getElementById('zipCode').dispatchEvent(new Event('input'));
+  });
+}
+
+/**
+ * Fill the location field's suggestion list (ZIPs, towns, counties)
+ */
+function renderLocationSuggestions(query) {
+  const list = document.getElementById('zipSuggestions');
+  if (!list) return;
+  
+  // Only Illinois rates vary by location
+  const suggestions = state.titleState === 'IL' ? taxLookup.search(query) : [];
+  list.innerHTML = suggestions
+    .map(s => `<option value="${s.value}">${s.label}</option>`)
+    .join('');
+}
+
 /**
  * Update totals for add-ons and discounts
  */
@@ -571,6 +2279,7 @@ function renderAddonsList() {
                inputmode="decimal" 
                value="${addon.price || ''}">
       </div>
+      ${renderPayToggle(addon.paidAtSigning, `data-index="${index}"`)}
       <button type="button" class="otd-item-remove" data-index="${index}">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <line x1="18" y1="6" x2="6" y2="18"/>
@@ -590,6 +2299,16 @@ function renderAddonsList() {
     });
   });
   
+  // Add event listeners for financed / paid-at-signing toggles
+  list.querySelectorAll('.otd-pay-toggle').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const addon = state.addons[parseInt(e.currentTarget.dataset.index)];
+      addon.paidAtSigning = !addon.paidAtSigning;
+      renderAddonsList();
+      updateResults();
+    });
+  });
+  
   // Add event listeners for remove buttons
   list.querySelectorAll('.otd-item-remove').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -603,6 +2322,14 @@ function renderAddonsList() {
   });
 }
 
+/**
+ * Button that switches a line item between financed and paid at signing
+ */
+function renderPayToggle(paidAtSigning, dataAttribute) {
+  return `<button type="button" class="otd-pay-toggle${paidAtSigning ? ' cash' : ''}" ${dataAttribute}
+          title="Switch between financing this and paying it at signing">${paidAtSigning ? 'Cash' : 'Financed'}</button>`;
+}
+
 /**
  * Render the discounts list
  */
@@ -614,7 +2341,18 @@ function renderDiscountsList() {
     return;
   }
   
-  list.innerHTML = state.discounts.map((discount, index) => `
+  list.innerHTML = state.discounts.map((discount, index) => {
+    // Eligibility requirements and special APR conflicts, under the row
+    const rule = getDiscountRule(discount.id);
+    let notes = '';
+    if (rule.eligibility) {
+      notes += `<p class="otd-item-note">${rule.eligibility}</p>`;
+    }
+    if (!rule.stacksWithSpecialApr && state.specialAprs.length > 0) {
+      notes += `<p class="otd-item-note warning">Usually offered instead of special APR financing, not with it</p>`;
+    }
+    
+    return `
     <div class="otd-item-row" data-index="${index}">
       <span class="otd-item-name">${discount.name}</span>
       <div class="otd-item-price otd-input-prefix">
@@ -629,8 +2367,9 @@ function renderDiscountsList() {
           <line x1="6" y1="6" x2="18" y2="18"/>
         </svg>
       </button>
-    </div>
-  `).join('');
+    </div>${notes}
+  `;
+  }).join('');
   
   // Add event listeners for amount inputs
   list.querySelectorAll('.discount-amount').forEach(input => {
@@ -655,6 +2394,119 @@ function renderDiscountsList() {
   });
 }
 
+/**
+ * Render the fee list (standard amounts, with inputs for fees the buyer can change)
+ */
+function renderFeesList() {
+  const list = document.getElementById('feesList');
+  if (!list) return;
+  
+  list.innerHTML = getFeeLines().map(fee => `
+    <div class="otd-item-row">
+      <span class="otd-item-name">${fee.name}</span>
+      ${fee.overridable ? `
+        <div class="otd-item-price otd-input-prefix">
+          <input type="text" class="otd-input fee-override"
+                 data-id="${fee.id}"
+                 inputmode="decimal"
+                 placeholder="${fee.standardAmount}"
+                 value="${fee.isOverridden ? state.feeOverrides[fee.id] : ''}">
+        </div>
+      ` : `
+        <span class="otd-item-price otd-fee-amount">${formatCurrency(fee.amount)}</span>
+      `}
+      ${renderPayToggle(state.feesPaidAtSigning[fee.id], `data-id="${fee.id}"`)}
+    </div>
+    ${fee.isOverCap ? `
+      <p class="otd-item-note warning">Over the state cap of ${formatCurrency(fee.cap)} - ask the dealer to lower it</p>
+    ` : ''}
+  `).join('');
+  
+  list.querySelectorAll('.otd-pay-toggle').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const id = e.currentTarget.dataset.id;
+      if (state.feesPaidAtSigning[id]) {
+        delete state.feesPaidAtSigning[id];
+      } else {
+        state.feesPaidAtSigning[id] = true;
+      }
+      updateResults();
+    });
+  });
+  
+  // Overrides apply on change (not input) so re-rendering doesn't steal focus
+  list.querySelectorAll('.fee-override').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const id = e.target.dataset.id;
+      if (e.target.value.trim() === '') {
+        delete state.feeOverrides[id];
+      } else {
+        state.feeOverrides[id] = parseNumber(e.target.value);
+      }
+      updateResults();
+    });
+  });
+}
+
+/**
+ * Render the imported rate sheets
+ */
+function renderRateSheetList() {
+  const list = document.getElementById('rateSheetList');
+  
+  list.innerHTML = state.rateSheets.map((sheet, index) => `
+    <div class="otd-item-row" data-index="${index}">
+      <span class="otd-item-name"></span>
+      <span class="otd-fee-amount">${sheet.rows.length} rate${sheet.rows.length === 1 ? '' : 's'}</span>
+      <button type="button" class="otd-item-remove" data-index="${index}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+  
+  // File names come from the buyer's disk, so they're set as text
+  list.querySelectorAll('.otd-item-name').forEach((name, index) => {
+    name.textContent = state.rateSheets[index].fileName;
+  });
+  
+  list.querySelectorAll('.otd-item-remove').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      state.rateSheets.splice(parseInt(e.currentTarget.dataset.index), 1);
+      renderRateSheetList();
+      updateModelYearField();
+      updateResults();
+    });
+  });
+}
+
+/**
+ * Mark a credit tier's radio option as selected
+ */
+function selectCreditTier(tier) {
+  state.creditTier = tier;
+  document.querySelectorAll('.otd-radio-option').forEach(option => {
+    const isSelected = option.dataset.tier === tier;
+    option.classList.toggle('selected', isSelected);
+    option.querySelector('input').checked = isSelected;
+  });
+}
+
+/**
+ * Model year matters for private-party tax and for rate sheets, which
+ * often price by model year
+ */
+function updateModelYearField() {
+  const isPrivate = state.transactionType === 'private';
+  document.getElementById('modelYearField').style.display =
+    isPrivate || state.rateSheets.length > 0 ? 'block' : 'none';
+  document.getElementById('modelYearHint').textContent = isPrivate
+    ? '(sets the Illinois private-party tax)'
+    : '(lender rate sheets price by model year)';
+}
+
 /**
  * Populate the add-on select dropdown
  */
@@ -690,6 +2542,91 @@ function populateDiscountSelect() {
       .join('');
 }
 
+/**
+ * Fill the lease inputs with their defaults
+ */
+function populateLeaseFields() {
+  const mileageSelect = document.getElementById('leaseMileageSelect');
+  mileageSelect.innerHTML = CONFIG.lease.mileageOptions
+    .map(miles => `<option value="${miles}"${miles === state.lease.mileageAllowance ? ' selected' : ''}>${miles.toLocaleString()} miles/year</option>`)
+    .join('');
+  
+  document.getElementById('leaseMoneyFactor').value = state.lease.moneyFactor.toFixed(5);
+  document.getElementById('leaseAcquisitionFee').value = state.lease.acquisitionFee;
+  document.getElementById('leaseExpectedMiles').placeholder = state.lease.mileageAllowance;
+}
+
+/**
+ * Render the term tabs, one per loan term
+ */
+function renderTermTabs() {
+  const tabs = document.getElementById('termTabs');
+  
+  tabs.innerHTML = getLoanTerms().map(term => `
+    <button type="button" class="otd-term-tab${term === state.selectedTerm ? ' selected' : ''}" data-term="${term}">${term} mo</button>
+  `).join('');
+  
+  tabs.querySelectorAll('.otd-term-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      selectTerm(parseInt(tab.dataset.term));
+    });
+  });
+}
+
+/**
+ * Add a buyer-entered loan term and select it
+ * Returns false when the term is outside CONFIG.customTermRange
+ */
+function addCustomTerm(term) {
+  const range = CONFIG.customTermRange;
+  if (!Number.isInteger(term) || term < range.min || term > range.max) return false;
+  
+  if (!getLoanTerms().includes(term)) {
+    state.customTerms.push(term);
+    renderTermTabs();
+    populateSpecialAprSelect();
+    populateTargetTermSelect();
+  }
+  selectTerm(term);
+  return true;
+}
+
+/**
+ * Fill the "What can I afford?" credit tier choices
+ */
+function populateTargetCreditTierSelect() {
+  document.getElementById('targetCreditTierSelect').innerHTML =
+    '<option value="">Same as above</option>' +
+    Object.entries(CONFIG.creditTiers)
+      .map(([key, tier]) => `<option value="${key}">${tier.name}</option>`)
+      .join('');
+}
+
+/**
+ * Fill the "What can I afford?" term choices
+ */
+function populateTargetTermSelect() {
+  document.getElementById('targetTermSelect').innerHTML = getLoanTerms()
+    .map(term => `<option value="${term}"${term === state.target.term ? ' selected' : ''}>${term} months</option>`)
+    .join('');
+}
+
+/**
+ * Populate the title state and dealer state dropdowns
+ */
+function populateStateSelects() {
+  const options = Object.keys(STATE_TAX_MODULES)
+    .map(code => `<option value="${code}">${STATE_TAX_MODULES[code].name}</option>`)
+    .join('');
+  
+  const titleSelect = document.getElementById('titleStateSelect');
+  const dealerSelect = document.getElementById('dealerStateSelect');
+  titleSelect.innerHTML = options;
+  titleSelect.value = state.titleState;
+  dealerSelect.innerHTML = options;
+  dealerSelect.value = state.dealerState;
+}
+
 /**
  * Render the special APR list (sorted by term)
  */
@@ -740,6 +2677,7 @@ function renderSpecialAprList() {
       const term = parseInt(e.currentTarget.dataset.term);
       state.specialAprs = state.specialAprs.filter(a => a.term !== term);
       renderSpecialAprList();
+      renderDiscountsList();  // Rebates that don't stack with special APRs
       updateResults();
       populateSpecialAprSelect();
     });
@@ -754,7 +2692,7 @@ function populateSpecialAprSelect() {
   const usedTerms = state.specialAprs.map(a => a.term);
   
   select.innerHTML = '<option value="">Select term...</option>' +
-    CONFIG.loanTerms
+    getLoanTerms()
       .filter(term => !usedTerms.includes(term))
       .map(term => `<option value="${term}">${term} months</option>`)
       .join('');
@@ -808,9 +2746,208 @@ function initEventListeners() {
   
   // ZIP Code
   document.getElementById('zipCode').addEventListener('input', (e) => {
-    state.zipCode = e.target.value.replace(/\D/g, '').slice(0, 5);
-    e.target.value = state.zipCode;
+    state.zipCode = e.target.value.trim();
+    renderLocationSuggestions(state.zipCode);
+    updateTaxRate();
+    updateResults();
+  });
+  
+  // Title State & Dealer State
+  document.getElementById('titleStateSelect').addEventListener('change', (e) => {
+    state.titleState = e.target.value;
+    updateTaxRate();
+    updateResults();
+  });
+  
+  document.getElementById('dealerStateSelect').addEventListener('change', (e) => {
+    state.dealerState = e.target.value;
+    updateResults();
+  });
+  
+  // Transaction Type (dealer vs. private party)
+  document.getElementById('transactionTypeSelect').addEventListener('change', (e) => {
+    state.transactionType = e.target.value;
+    const isPrivate = state.transactionType === 'private';
+    updateModelYearField();
+    document.getElementById('dealerStateField').style.display = isPrivate ? 'none' : 'block';
+    // Private sellers don't take trades (calculate() ignores the trade-in)
+    document.getElementById('tradeInSection').style.display = isPrivate ? 'none' : 'block';
+    // Leases only come from dealers
+    document.getElementById('dealTypeField').style.display = isPrivate ? 'none' : 'block';
+    document.getElementById('leaseSection').style.display =
+      !isPrivate && state.dealType === 'lease' ? 'block' : 'none';
+    updateTradeEquity();
+    updateResults();
+  });
+  
+  // Lender fee (prepaid finance charge)
+  document.getElementById('lenderFee').addEventListener('input', (e) => {
+    state.lenderFee = parseNumber(e.target.value);
+    updateResults();
+  });
+  
+  // Book value and lender LTV limits (blank = vehicle price / CONFIG default)
+  document.getElementById('bookValue').addEventListener('input', (e) => {
+    state.bookValue = parseNumber(e.target.value);
+    updateResults();
+  });
+  ['maxFrontEndLtv', 'maxBackEndLtv', 'maxBackEndProducts'].forEach(key => {
+    document.getElementById(key).placeholder = CONFIG.lenderLimits[key];
+    document.getElementById(key).addEventListener('input', (e) => {
+      state.lenderLimits[key] = e.target.value.trim() === ''
+        ? CONFIG.lenderLimits[key]
+        : parseNumber(e.target.value);
+      updateResults();
+    });
+  });
+  
+  // Dealer's quoted APR (blank = no markup check)
+  document.getElementById('quotedApr').addEventListener('input', (e) => {
+    state.quotedApr = e.target.value.trim() === '' ? null : parseNumber(e.target.value);
+    updateResults();
+  });
+  
+  // Rebate or special APR
+  document.getElementById('offerChoiceSelect').addEventListener('change', (e) => {
+    state.offerChoice = e.target.value;
+    updateResults();
+  });
+  
+  // Payoff simulator
+  document.getElementById('prepayExtraMonthly').addEventListener('input', (e) => {
+    state.prepayment.extraMonthly = parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('prepayFrequencySelect').addEventListener('change', (e) => {
+    state.prepayment.biweekly = e.target.value === 'biweekly';
+    updateResults();
+  });
+  document.getElementById('prepayLumpSum').addEventListener('input', (e) => {
+    state.prepayment.lumpSum = parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('prepayLumpSumMonth').addEventListener('input', (e) => {
+    state.prepayment.lumpSumMonth = parseInt(parseNumber(e.target.value)) || 12;
+    updateResults();
+  });
+  
+  // Balloon
+  document.getElementById('balloonTypeSelect').addEventListener('change', (e) => {
+    state.balloon.type = e.target.value;
+    document.getElementById('balloonValueWrap').className =
+      state.balloon.type === 'percent' ? 'otd-input-pct' : 'otd-input-prefix';
+    updateResults();
+  });
+  document.getElementById('balloonValue').addEventListener('input', (e) => {
+    state.balloon.value = parseNumber(e.target.value);
+    updateResults();
+  });
+  
+  // Payment dates (blank = the default)
+  document.getElementById('contractDate').addEventListener('change', (e) => {
+    state.contractDate = e.target.value || null;
+    updatePaymentDateFields();
+    updateResults();
+  });
+  document.getElementById('firstPaymentDate').addEventListener('change', (e) => {
+    state.firstPaymentDate = e.target.value || null;
+    updatePaymentDateFields();
+    updateResults();
+  });
+  
+  // What can I afford?
+  document.getElementById('targetPayment').addEventListener('input', (e) => {
+    state.target.payment = parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('targetTermSelect').addEventListener('change', (e) => {
+    state.target.term = parseInt(e.target.value);
+    updateResults();
+  });
+  document.getElementById('targetCreditTierSelect').addEventListener('change', (e) => {
+    state.target.creditTier = e.target.value || null;
+    updateResults();
+  });
+  document.getElementById('targetDownPayment').addEventListener('input', (e) => {
+    state.target.downPayment = e.target.value.trim() === '' ? null : parseNumber(e.target.value);
+    updateResults();
+  });
+  // Carries the solver's price, term, credit tier and cash down to the form
+  document.getElementById('targetUseBtn').addEventListener('click', () => {
+    const solved = getTargetSolution();
+    const inputs = getTargetInputs();
+    if (inputs.creditTier !== state.creditTier) {
+      selectCreditTier(inputs.creditTier);
+      state.creditScore = null;
+      document.getElementById('creditScore').value = '';
+    }
+    state.downPayment = inputs.downPayment;
+    document.getElementById('downPayment').value = inputs.downPayment ? inputs.downPayment.toLocaleString() : '';
+    state.vehiclePrice = solved.vehiclePrice;
+    document.getElementById('vehiclePrice').value = solved.vehiclePrice.toLocaleString();
+    selectTerm(state.target.term);
+  });
+  
+  // Buy or Lease
+  document.getElementById('dealTypeSelect').addEventListener('change', (e) => {
+    state.dealType = e.target.value;
+    document.getElementById('leaseSection').style.display = state.dealType === 'lease' ? 'block' : 'none';
+    updateResults();
+  });
+  
+  // Lease terms
+  document.getElementById('leaseMsrp').addEventListener('input', (e) => {
+    state.lease.msrp = parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('leaseResidual').addEventListener('input', (e) => {
+    state.lease.residualPct = e.target.value.trim() === '' ? null : parseNumber(e.target.value) / 100;
+    updateResults();
+  });
+  document.getElementById('leaseMoneyFactor').addEventListener('input', (e) => {
+    state.lease.moneyFactor = parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('leaseAcquisitionFee').addEventListener('input', (e) => {
+    state.lease.acquisitionFee = parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('leaseMileageSelect').addEventListener('change', (e) => {
+    state.lease.mileageAllowance = parseInt(e.target.value);
+    document.getElementById('leaseExpectedMiles').placeholder = e.target.value;
+    updateResults();
+  });
+  document.getElementById('leaseExpectedMiles').addEventListener('input', (e) => {
+    state.lease.expectedMiles = e.target.value.trim() === '' ? null : parseNumber(e.target.value);
+    updateResults();
+  });
+  document.getElementById('leaseCapCostReduction').addEventListener('input', (e) => {
+    state.lease.capCostReduction = parseNumber(e.target.value);
+    updateResults();
+  });
+  
+  // Model Year (private-party tax schedule)
+  document.getElementById('modelYear').addEventListener('input', (e) => {
+    state.modelYear = parseInt(e.target.value.replace(/\D/g, '')) || new Date().getFullYear();
+    updateResults();
+  });
+  
+  // Vehicle Type and Plates (registration fee)
+  document.getElementById('vehicleTypeSelect').addEventListener('change', (e) => {
+    state.vehicleType = e.target.value;
+    updateResults();
+  });
+  document.getElementById('plateOptionSelect').addEventListener('change', (e) => {
+    state.plateOption = e.target.value;
+    updateResults();
+  });
+  
+  // Delivery Date (selects the tax rates and fees in force)
+  document.getElementById('deliveryDate').addEventListener('change', (e) => {
+    state.deliveryDate = e.target.value || todayIsoDate();
+    updatePaymentDateFields();
     updateTaxRate();
+    updateTradeEquity();
     updateResults();
   });
   
@@ -834,24 +2971,70 @@ function initEventListeners() {
     updateResults();
   });
   
-  // Credit Tier Radio Buttons
+  // Sales tax: financed or paid at signing
+  document.getElementById('taxPaymentSelect').addEventListener('change', (e) => {
+    state.taxPaidAtSigning = e.target.value === 'signing';
+    updateResults();
+  });
+  
+  // Credit Tier Radio Buttons (picking a tier clears an entered score)
   document.querySelectorAll('.otd-radio-option').forEach(option => {
     option.addEventListener('click', () => {
-      document.querySelectorAll('.otd-radio-option').forEach(o => {
-        o.classList.remove('selected');
-      });
-      option.classList.add('selected');
-      option.querySelector('input').checked = true;
-      state.creditTier = option.dataset.tier;
+      selectCreditTier(option.dataset.tier);
+      state.creditScore = null;
+      document.getElementById('creditScore').value = '';
       updateResults();
     });
   });
   
+  // Credit Score (sets the tier, and matches rate sheets by score)
+  document.getElementById('creditScore').addEventListener('input', (e) => {
+    const score = parseInt(e.target.value.replace(/\D/g, ''));
+    state.creditScore = score >= 300 && score <= 850 ? score : null;
+    if (state.creditScore !== null) {
+      selectCreditTier(getTierForScore(state.creditScore));
+    }
+    updateResults();
+  });
+  
+  // Lender rate sheet import
+  const rateSheetFile = document.getElementById('rateSheetFile');
+  document.getElementById('importRateSheetBtn').addEventListener('click', () => {
+    rateSheetFile.click();
+  });
+  rateSheetFile.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const error = document.getElementById('rateSheetError');
+    
+    try {
+      const rows = parseRateSheet(await file.text(), file.name);
+      state.rateSheets.push({ fileName: file.name, rows: rows });
+      error.style.display = 'none';
+      renderRateSheetList();
+      updateModelYearField();
+      updateResults();
+    } catch (err) {
+      error.textContent = `Couldn't import ${file.name}: ${err.message}`;
+      error.style.display = 'block';
+    }
+    rateSheetFile.value = '';
+  });
+  
   // Term Tabs
-  document.querySelectorAll('.otd-term-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      selectTerm(parseInt(tab.dataset.term));
-    });
+  renderTermTabs();
+  
+  // Custom term (Enter or leaving the field adds it)
+  const customTermInput = document.getElementById('customTermInput');
+  const commitCustomTerm = () => {
+    if (customTermInput.value.trim() === '') return;
+    const added = addCustomTerm(parseInt(parseNumber(customTermInput.value)));
+    customTermInput.classList.toggle('invalid', !added);
+    if (added) customTermInput.value = '';
+  };
+  customTermInput.addEventListener('change', commitCustomTerm);
+  customTermInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') commitCustomTerm();
   });
   
   // Add-on Button & Select
@@ -952,6 +3135,7 @@ function initEventListeners() {
     
     state.specialAprs.push({ term, rate });
     renderSpecialAprList();
+    renderDiscountsList();  // Rebates that don't stack with special APRs
     updateResults();
     populateSpecialAprSelect();
     
@@ -989,6 +3173,9 @@ function initEventListeners() {
     });
   });
   
+  // Amortization CSV export
+  document.getElementById('amortizationCsvBtn').addEventListener('click', exportAmortizationCsv);
+  
   // Print Button
   document.getElementById('printBtn').addEventListener('click', () => {
     // Expand all sections for printing
@@ -1016,6 +3203,12 @@ function init() {
   populateAddonSelect();
   populateDiscountSelect();
   populateSpecialAprSelect();
+  populateStateSelects();
+  document.getElementById('deliveryDate').value = state.deliveryDate;
+  updatePaymentDateFields();
+  populateLeaseFields();
+  populateTargetTermSelect();
+  populateTargetCreditTierSelect();
   
   // Set up event listeners
   initEventListeners();
@@ -5,6 +5,41 @@
  * including fees, tax rates, products, discounts, and loan terms.
  */
 
+// ============================================
+// DATE-EFFECTIVE VALUES
+// ============================================
+
+/**
+ * Today's local date as YYYY-MM-DD
+ */
+function todayIsoDate() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Pick the entry in effect on a date (YYYY-MM-DD) from a list of
+ * { effectiveFrom, ... } entries: the latest one that has started.
+ * Dates before the first entry fall back to the earliest entry.
+ */
+function getEffectiveEntry(entries, date) {
+  const sorted = [...entries].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  const started = sorted.filter(e => e.effectiveFrom <= date);
+  return started.length > 0 ? started[started.length - 1] : sorted[0];
+}
+
+/**
+ * Amount in effect on a date. Accepts a plain number (never changes)
+ * or a list of { effectiveFrom, amount } entries.
+ */
+function getEffectiveAmount(value, date) {
+  if (!Array.isArray(value)) return value;
+  return getEffectiveEntry(value, date).amount;
+}
+
+
 // ============================================
 // ILLINOIS TAX LOOKUP CLASS
 // ============================================
@@ -13,6 +48,7 @@ class IllinoisSalesTaxLookup {
   constructor() {
     this.data = null;
     this.loaded = false;
+    this._municipalityIndex = null;
   }
 
   async load() {
@@ -27,45 +63,63 @@ class IllinoisSalesTaxLookup {
       // Don't throw - fall back to default rate
       this.data = {
         countyRates: { DEFAULT: 0.0625 },
+        municipalRates: {},
+        rateChanges: [],
         chicagoZips: [],
-        zipToCounty: {}
+        zipToCounty: {},
+        zipToMunicipality: {},
+        multiJurisdictionZips: {}
       };
       this.loaded = true;
     }
   }
 
-  getTaxRate(zipCode) {
+  /**
+   * Resolve a ZIP to its tax rate on a date (YYYY-MM-DD, defaults
+   * to today); a ZIP+4 is looked up by its first five digits. Returns the
+   * primary jurisdiction plus every candidate, so callers can ask the
+   * buyer when a ZIP is ambiguous.
+   */
+  getTaxRate(zipCode, date) {
+    const candidates = this.getJurisdictions(zipCode, date);
+    return {
+      ...candidates[0],
+      candidates: candidates,
+      isAmbiguous: candidates.length > 1
+    };
+  }
+
+  /**
+   * Every jurisdiction a ZIP can resolve to, primary first.
+   * Most ZIPs return one entry; ZIPs that cross county or city lines
+   * return one entry per jurisdiction.
+   */
+  getJurisdictions(zipCode, date) {
     if (!this.loaded || !this.data) {
-      return {
-        rate: 0.0625,
-        location: 'Illinois',
-        county: null,
-        isEstimate: true
-      };
+      return [this._stateFallback(0.0625)];
     }
 
-    const normalizedZip = String(zipCode).trim().slice(0, 5);
+    const digits = String(zipCode).replace(/\D/g, '');
+    const normalizedZip = digits.slice(0, 5);
+    const rates = this._getRatesOn(date);
+
+    // ZIPs that cross jurisdiction lines list every candidate explicitly
+    const multi = this.data.multiJurisdictionZips ? this.data.multiJurisdictionZips[normalizedZip] : null;
+    if (multi) {
+      return multi.map(j => this._buildJurisdiction(j.county, j.municipality, rates));
+    }
 
-    // Check if it's a Chicago ZIP code (special 9.50% rate)
+    // Check if it's a Chicago ZIP code (county rate + Chicago home-rule surcharge)
     if (this.data.chicagoZips && this.data.chicagoZips.includes(normalizedZip)) {
-      return {
-        rate: this.data.countyRates.COOK_CHICAGO || 0.0950,
-        location: 'Chicago',
-        county: 'COOK',
-        isEstimate: false
-      };
+      return [this._buildJurisdiction('COOK', 'Chicago', rates)];
     }
 
     // Try direct ZIP lookup first
     const county = this.data.zipToCounty ? this.data.zipToCounty[normalizedZip] : null;
     
     if (county && this.data.countyRates[county]) {
-      return {
-        rate: this.data.countyRates[county],
-        location: this._formatCountyName(county),
-        county: county,
-        isEstimate: false
-      };
+      const municipality = this.data.zipToMunicipality ? this.data.zipToMunicipality[normalizedZip] : null;
+      return [this._buildJurisdiction(county, municipality || null, rates)];
     }
 
     // Try ZIP prefix matching (60xxx pattern)
@@ -73,23 +127,203 @@ class IllinoisSalesTaxLookup {
     const county_by_prefix = this._getCountyByPrefix(zipPrefix);
     
     if (county_by_prefix && this.data.countyRates[county_by_prefix]) {
-      return {
-        rate: this.data.countyRates[county_by_prefix],
-        location: this._formatCountyName(county_by_prefix),
-        county: county_by_prefix,
-        isEstimate: false
-      };
+      return [this._buildJurisdiction(county_by_prefix, null, rates)];
     }
 
     // ZIP code not found - return state rate as fallback
+    return [this._stateFallback(rates.countyRates.DEFAULT || 0.0625)];
+  }
+
+  /**
+   * Resolve whatever the buyer typed in the location field: a ZIP,
+   * ZIP+4, municipality name or county name ("Kane County").
+   * Returns a getTaxRate() result plus { matchedBy, matchLabel },
+   * or null while the text doesn't match anything yet.
+   */
+  resolve(query, date) {
+    const text = String(query || '').trim();
+    const digits = text.replace(/[\s-]/g, '');
+
+    // A ZIP+4 is matched by its ZIP; there's no ZIP+4 data to settle border ZIPs
+    if (/^\d{5}(\d{4})?$/.test(digits)) {
+      const zip = digits.slice(0, 5);
+      return { ...this.getTaxRate(zip, date), matchedBy: 'zip', matchLabel: `ZIP ${zip}` };
+    }
+    if (/^\d*$/.test(digits) || !this.data) return null;  // Partial ZIP
+
+    const county = this._findCounty(text);
+    if (county) {
+      return { ...this.getTaxRateByCounty(county, date), matchedBy: 'county', matchLabel: this._formatCountyName(county) };
+    }
+
+    const place = this._getMunicipalityIndex().get(text.toUpperCase());
+    if (place) {
+      return { ...this.getTaxRateByMunicipality(place.name, date), matchedBy: 'municipality', matchLabel: place.name };
+    }
+
+    return null;
+  }
+
+  /**
+   * Tax rate for a municipality. Places that span counties return one
+   * candidate per county, primary (most ZIPs) first.
+   */
+  getTaxRateByMunicipality(name, date) {
+    const place = this._getMunicipalityIndex().get(String(name).trim().toUpperCase());
+    if (!place) return this.getTaxRate('', date);
+
+    const rates = this._getRatesOn(date);
+    const candidates = place.counties.map(county => this._buildJurisdiction(county, place.name, rates));
+    return { ...candidates[0], candidates: candidates, isAmbiguous: candidates.length > 1 };
+  }
+
+  /**
+   * Tax rate for a county (key from getCounties()), without any
+   * municipal surcharge
+   */
+  getTaxRateByCounty(county, date) {
+    const rates = this._getRatesOn(date);
+    const candidates = rates.countyRates[county] !== undefined
+      ? [this._buildJurisdiction(county, null, rates)]
+      : [this._stateFallback(rates.countyRates.DEFAULT || 0.0625)];
+    return { ...candidates[0], candidates: candidates, isAmbiguous: false };
+  }
+
+  /**
+   * Every county, sorted by name, for county selection
+   * Returns [{ key, name }]
+   */
+  getCounties() {
+    if (!this.data) return [];
+    return Object.keys(this.data.countyRates)
+      .filter(key => key !== 'DEFAULT')
+      .map(key => ({ key, name: this._formatCountyName(key) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Suggestions for a partial ZIP, municipality or county name.
+   * Returns [{ value, label, type }] where value is what to put in the
+   * location field (it resolves with resolve()).
+   */
+  search(query, limit = 8) {
+    if (!this.loaded || !this.data) return [];
+
+    const text = String(query || '').trim();
+    if (!text) return [];
+
+    // Digits: ZIPs starting with what's been typed
+    if (/^\d{1,5}$/.test(text)) {
+      const zips = [...new Set([...this.data.chicagoZips, ...Object.keys(this.data.zipToCounty)])]
+        .filter(zip => zip.startsWith(text))
+        .sort()
+        .slice(0, limit);
+      return zips.map(zip => ({ value: zip, label: `${zip} - ${this.getTaxRate(zip).location}`, type: 'zip' }));
+    }
+    if (/^\d/.test(text)) return [];
+
+    // Letters: municipalities, then counties, starting with what's been typed
+    const upper = text.toUpperCase();
+    const places = [...this._getMunicipalityIndex().values()]
+      .filter(place => place.name.toUpperCase().startsWith(upper))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(place => ({ value: place.name, label: `${place.name} (${place.counties.map(c => this._formatCountyName(c)).join(', ')})`, type: 'municipality' }));
+    const counties = this.getCounties()
+      .filter(county => county.name.toUpperCase().startsWith(upper))
+      .map(county => ({ value: county.name, label: county.name, type: 'county' }));
+
+    return [...places, ...counties].slice(0, limit);
+  }
+
+  /**
+   * County and municipal rates in force on a date: the base tables with
+   * every rate change that has taken effect applied in order
+   */
+  _getRatesOn(date = todayIsoDate()) {
+    const countyRates = { ...this.data.countyRates };
+    const municipalRates = { ...(this.data.municipalRates || {}) };
+
+    (this.data.rateChanges || [])
+      .filter(change => change.effectiveFrom <= date)
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+      .forEach(change => {
+        Object.assign(countyRates, change.countyRates || {});
+        Object.assign(municipalRates, change.municipalRates || {});
+      });
+
+    return { countyRates, municipalRates };
+  }
+
+  _buildJurisdiction(county, municipality, rates) {
+    const rate = rates.countyRates[county] + this._getMunicipalRate(municipality, rates);
+    const countyName = this._formatCountyName(county);
+
     return {
-      rate: this.data.countyRates.DEFAULT || 0.0625,
+      rate: Math.round(rate * 10000) / 10000,
+      location: municipality ? `${municipality}, ${countyName}` : countyName,
+      county: county,
+      municipality: municipality,
+      isEstimate: false,
+      // municipalRates only lists some home-rule towns until it's marked complete
+      isMunicipalRateUnknown: !!municipality && this.data.municipalRatesComplete === false &&
+        !(this._getMunicipalKey(municipality) in rates.municipalRates)
+    };
+  }
+
+  _stateFallback(rate) {
+    return {
+      rate: rate,
       location: 'Illinois',
       county: null,
+      municipality: null,
       isEstimate: true
     };
   }
 
+  _findCounty(text) {
+    // Only "<Name> County", so towns that share a county's name still match the town
+    if (!/\scounty$/i.test(text)) return null;
+    const match = this.getCounties().find(c => c.name.toUpperCase() === text.toUpperCase());
+    return match ? match.key : null;
+  }
+
+  /**
+   * Municipality name (upper case) -> { name, counties }, built once from
+   * the ZIP tables. Counties are ordered by how many ZIPs they cover.
+   */
+  _getMunicipalityIndex() {
+    if (this._municipalityIndex) return this._municipalityIndex;
+
+    const counts = new Map();
+    const add = (name, county) => {
+      if (!name || !county) return;
+      const key = name.toUpperCase();
+      if (!counts.has(key)) counts.set(key, { name, counties: {} });
+      const entry = counts.get(key);
+      entry.counties[county] = (entry.counties[county] || 0) + 1;
+    };
+
+    Object.entries(this.data.zipToMunicipality || {}).forEach(([zip, name]) => add(name, this.data.zipToCounty[zip]));
+    (this.data.chicagoZips || []).forEach(() => add('Chicago', 'COOK'));
+    Object.values(this.data.multiJurisdictionZips || {}).forEach(list => list.forEach(j => add(j.municipality, j.county)));
+
+    this._municipalityIndex = new Map();
+    counts.forEach((entry, key) => {
+      const counties = Object.keys(entry.counties).sort((a, b) => entry.counties[b] - entry.counties[a]);
+      this._municipalityIndex.set(key, { name: entry.name, counties });
+    });
+    return this._municipalityIndex;
+  }
+
+  _getMunicipalKey(municipality) {
+    return municipality.toUpperCase().replace(/[^A-Z]+/g, '_');
+  }
+
+  _getMunicipalRate(municipality, rates) {
+    if (!municipality) return 0;
+    return rates.municipalRates[this._getMunicipalKey(municipality)] || 0;
+  }
+
   _getCountyByPrefix(prefix) {
     // Based on Illinois ZIP code geographic patterns
     // 600xx, 601xx, 602xx, 603xx, 604xx, 605xx, 606xx, 607xx, 608xx = Chicago Metro
@@ -123,22 +357,26 @@ class IllinoisSalesTaxLookup {
   }
 
   _formatCountyName(countyName) {
-    if (!countyName) return 'Illinois';
-    if (countyName === 'SAINT_CLAIR') return 'St. Clair County';
-    if (countyName === 'COOK_CHICAGO') return 'Chicago';
-    if (countyName === 'COOK') return 'Cook County';
-    if (countyName === 'ROCK_ISLAND') return 'Rock Island County';
-    if (countyName === 'DEFAULT') return 'Illinois';
-    
-    // Handle McHenry, McLean, etc.
-    if (countyName.startsWith('MC')) {
-      return 'Mc' + countyName.slice(2).charAt(0).toUpperCase() + 
-             countyName.slice(3).toLowerCase() + ' County';
-    }
-    
-    // Standard formatting
-    return countyName.charAt(0).toUpperCase() + 
-           countyName.slice(1).toLowerCase() + ' County';
+    if (!countyName || countyName === 'DEFAULT') return 'Illinois';
+
+    // Names whose capitalization can't be derived from the key
+    const specialNames = {
+      SAINT_CLAIR: 'St. Clair',
+      DUPAGE: 'DuPage',
+      DEKALB: 'DeKalb',
+      LASALLE: 'LaSalle',
+      DEWITT: 'De Witt'
+    };
+    if (specialNames[countyName]) return specialNames[countyName] + ' County';
+
+    // Standard formatting, word by word (ROCK_ISLAND, JO_DAVIESS)
+    return countyName.split('_').map(word => {
+      // Handle McHenry, McLean, etc.
+      if (word.startsWith('MC')) {
+        return 'Mc' + word.charAt(2) + word.slice(3).toLowerCase();
+      }
+      return word.charAt(0) + word.slice(1).toLowerCase();
+    }).join(' ') + ' County';
   }
 }
 
@@ -153,35 +391,144 @@ const CONFIG = {
   // Default tax rate (Illinois statewide base rate)
   defaultTaxRate: 0.0625, // 6.25%
   
-  // Illinois fees (2024/2025 values)
-  fees: {
-    docPrep: {
-      name: 'Doc Fee',
-      amount: 377,
-      taxable: false
+  // Illinois fee schedule, in breakdown order
+  // - paidTo: 'dealer' fees are charged by the selling dealer (none in a
+  //   private sale); 'state' fees go to the state where the vehicle is titled
+  // - amounts: by effective date (YYYY-MM-DD); add an entry when a fee
+  //   changes (usually January 1 or July 1)
+  // - conditions (optional): counties, vehicleTypes, plates ('new' or 'transfer')
+  // - overridable: the buyer can enter the amount their dealer quoted;
+  //   cap (optional) limits what can be charged
+  fees: [
+    {
+      id: 'docPrep',
+      name: 'Doc preparation',
+      paidTo: 'dealer',
+      amounts: [
+        { effectiveFrom: '2020-01-01', amount: 300 },
+        { effectiveFrom: '2023-01-01', amount: 347.26 },
+        { effectiveFrom: '2024-01-01', amount: 358.03 },
+        { effectiveFrom: '2025-01-01', amount: 377 }
+      ],
+      cap: [
+        // State cap: $300 from 2020, adjusted for inflation each January 1.
+        // Partial history: the 2021 and 2022 adjustments aren't entered, so
+        // deliveries in those years get the 2020 cap
+        { effectiveFrom: '2020-01-01', amount: 300 },
+        { effectiveFrom: '2023-01-01', amount: 347.26 },
+        { effectiveFrom: '2024-01-01', amount: 358.03 },
+        { effectiveFrom: '2025-01-01', amount: 377 }
+      ],
+      taxable: true,
+      overridable: true
     },
-    ert: {
-      name: 'ERT Fee',
-      amount: 35,
+    {
+      id: 'ert',
+      name: 'ERT fee',
+      paidTo: 'dealer',
+      amounts: [
+        { effectiveFrom: '2024-01-01', amount: 35 }
+      ],
       taxable: true
     },
-    title: {
-      name: 'Title Fee',
-      amount: 165,
+    {
+      id: 'title',
+      name: 'Title',
+      paidTo: 'state',
+      amounts: [
+        { effectiveFrom: '2019-07-01', amount: 150 },  // Rebuild Illinois increase
+        { effectiveFrom: '2024-01-01', amount: 165 }
+      ],
       taxable: false
     },
-    registration: {
+    {
+      id: 'registration',
       name: 'Registration',
-      amount: 151,
-      taxable: false
+      paidTo: 'state',
+      amounts: [
+        { effectiveFrom: '2019-01-01', amount: 101 },
+        { effectiveFrom: '2020-01-01', amount: 151 }   // Rebuild Illinois increase
+      ],
+      conditions: { vehicleTypes: ['ice', 'hybrid'], plates: 'new' },
+      taxable: false,
+      overridable: true
+    },
+    {
+      id: 'registrationEv',
+      name: 'Registration (electric)',
+      paidTo: 'state',
+      amounts: [
+        { effectiveFrom: '2020-01-01', amount: 251 }  // Standard $151 plus $100 EV fee
+      ],
+      conditions: { vehicleTypes: ['ev'], plates: 'new' },
+      taxable: false,
+      overridable: true
+    },
+    {
+      id: 'registrationMotorcycle',
+      name: 'Registration (motorcycle)',
+      paidTo: 'state',
+      amounts: [
+        { effectiveFrom: '2024-01-01', amount: 41 }
+      ],
+      conditions: { vehicleTypes: ['motorcycle'], plates: 'new' },
+      taxable: false,
+      overridable: true
     },
-    cookCounty: {
-      name: 'Cook County Clerk Fee',
-      amount: 15,
+    {
+      id: 'plateTransfer',
+      name: 'Plate transfer',
+      paidTo: 'state',
+      amounts: [
+        { effectiveFrom: '2024-01-01', amount: 25 }  // Replaces new-plate registration
+      ],
+      conditions: { plates: 'transfer' },
+      taxable: false,
+      overridable: true
+    },
+    {
+      id: 'cookCounty',
+      name: 'Cook County fee',
+      paidTo: 'state',
+      amounts: [
+        { effectiveFrom: '2024-01-01', amount: 15 }
+      ],
+      conditions: { counties: ['COOK'] },
       taxable: false
     }
+  ],
+  
+  // Illinois Private Party Vehicle Use Tax (Form RUT-50, Tax Table B)
+  // Replaces sales tax when buying from a private seller
+  privatePartyTax: {
+    // Purchase price of $15,000 or more: flat amount by price
+    priceBrackets: [
+      { minPrice: 30000, amount: 1500 },
+      { minPrice: 25000, amount: 1250 },
+      { minPrice: 20000, amount: 1000 },
+      { minPrice: 15000, amount: 750 }
+    ],
+    // Under $15,000: flat amount by vehicle age in years
+    // (1 year old or newer, 2, 3, ... 11 years or older)
+    ageSchedule: [390, 290, 215, 165, 115, 90, 80, 65, 50, 40, 25]
   },
   
+  // Illinois trade-in tax credit policy, by effective date (YYYY-MM-DD)
+  // The latest entry in effect on the purchase date applies;
+  // cap: null means the full trade-in value is credited
+  tradeInCreditPolicy: [
+    {
+      effectiveFrom: '1900-01-01',
+      cap: null,
+      note: 'Full trade-in value reduces the taxable amount'
+    },
+    {
+      effectiveFrom: '2022-01-01',
+      cap: 10000,
+      note: 'Illinois caps the trade-in credit at $10,000 per vehicle (Public Act 102-0016)'
+    }
+  ],
+  
   // Available products (add-ons)
   products: {
     taxable: [
@@ -200,18 +547,68 @@ const CONFIG = {
   },
   
   // Available discounts
+  // - appliedBeforeTax: required on every entry. Reductions taken off the
+  //   selling price lower the taxable amount; manufacturer rebates are
+  //   applied after tax in Illinois
+  // - stacksWithSpecialApr: false if it's usually offered instead of
+  //   special APR financing
+  // - eligibility: requirement the buyer must meet, or null
+  // - taxNote: one-line explanation shown in the breakdown
   discounts: [
-    { id: 'manufacturer', name: 'Manufacturer Rebate', defaultAmount: 1000 },
-    { id: 'dealer', name: 'Dealer Discount', defaultAmount: 500 },
-    { id: 'military', name: 'Military/First Responder', defaultAmount: 500 },
-    { id: 'loyalty', name: 'Brand Loyalty', defaultAmount: 750 },
-    { id: 'college', name: 'College Grad', defaultAmount: 500 }
+    {
+      id: 'manufacturer',
+      name: 'Manufacturer Rebate',
+      defaultAmount: 1000,
+      appliedBeforeTax: false,
+      stacksWithSpecialApr: false,
+      eligibility: null,
+      taxNote: 'Paid by the manufacturer, so tax is on the price before the rebate'
+    },
+    {
+      id: 'dealer',
+      name: 'Dealer Discount',
+      defaultAmount: 500,
+      appliedBeforeTax: true,
+      stacksWithSpecialApr: true,
+      eligibility: null,
+      taxNote: 'Lowers the selling price, so it reduces the taxable amount'
+    },
+    {
+      id: 'military',
+      name: 'Military/First Responder',
+      defaultAmount: 500,
+      appliedBeforeTax: true,
+      stacksWithSpecialApr: true,
+      eligibility: 'Active duty, veterans or first responders; proof of service required',
+      taxNote: 'Taken off the selling price, so it reduces the taxable amount'
+    },
+    {
+      id: 'loyalty',
+      name: 'Brand Loyalty',
+      defaultAmount: 750,
+      appliedBeforeTax: true,
+      stacksWithSpecialApr: true,
+      eligibility: 'You must currently own or lease a vehicle of the same brand',
+      taxNote: 'Taken off the selling price, so it reduces the taxable amount'
+    },
+    {
+      id: 'college',
+      name: 'College Grad',
+      defaultAmount: 500,
+      appliedBeforeTax: true,
+      stacksWithSpecialApr: true,
+      eligibility: 'Graduated within the last 2 years or graduating within 6 months',
+      taxNote: 'Taken off the selling price, so it reduces the taxable amount'
+    }
   ],
   
-  // Credit tiers and their typical APRs
+  // Credit tiers and their typical APRs. minScore maps an entered credit
+  // score to a tier; the tier table is the fallback when no imported
+  // lender rate sheet matches
   creditTiers: {
     excellent: {
       name: 'Excellent (740+)',
+      minScore: 740,
       rates: {
         24: 4.99,
         36: 5.49,
@@ -223,6 +620,7 @@ const CONFIG = {
     },
     good: {
       name: 'Good (670-739)',
+      minScore: 670,
       rates: {
         24: 6.99,
         36: 7.49,
@@ -234,6 +632,7 @@ const CONFIG = {
     },
     fair: {
       name: 'Fair (580-669)',
+      minScore: 580,
       rates: {
         24: 9.99,
         36: 10.49,
@@ -245,6 +644,7 @@ const CONFIG = {
     },
     poor: {
       name: 'Poor (<580)',
+      minScore: 300,
       rates: {
         24: 14.99,
         36: 15.49,
@@ -257,7 +657,122 @@ const CONFIG = {
   },
   
   // Available loan terms (months)
-  loanTerms: [24, 36, 48, 60, 72, 84]
+  loanTerms: [24, 36, 48, 60, 72, 84],
+  
+  // Other terms the buyer can add (months). APRs and residuals for terms
+  // not in the tables above are interpolated from the nearest terms
+  customTermRange: { min: 12, max: 120 },
+  
+  // Dealer rate markup: lenders let dealers add points to the buy rate
+  // and pay most of the extra interest back as "dealer reserve". Typical
+  // caps are 2.5 points up to 60 months and 2 points beyond
+  dealerMarkup: {
+    caps: [
+      { maxTerm: 60, points: 2.5 },
+      { maxTerm: Infinity, points: 2.0 }
+    ],
+    reserveShare: 0.75   // Share of the extra interest the dealer keeps
+  },
+  
+  // Lender advance limits, as a percentage of the vehicle's book value.
+  // Front-end LTV is the vehicle (plus any negative equity) after cash
+  // down; back-end LTV is the whole amount financed, including tax, fees
+  // and backend products (GAP, service contracts)
+  lenderLimits: {
+    maxFrontEndLtv: 120,
+    maxBackEndLtv: 130,
+    maxBackEndProducts: 25   // Financed protection products
+  },
+  
+  // Lease defaults (dealer leases only). The default residual is the
+  // market value at the end of the term (CONFIG.downPaymentCalc.residualByTerm)
+  lease: {
+    defaultMoneyFactor: 0.0025,   // Money factor x 2400 = APR, so about 6.0%
+    acquisitionFee: 695,          // Lender's bank fee, added to the cap cost
+    mileageOptions: [7500, 10000, 12000, 15000],  // Miles per year
+    defaultMileage: 12000,
+    excessMileageCharge: 0.25     // Per mile over the allowance at lease end
+  }
+};
+
+// ============================================
+// STATE TAX MODULES
+// One module per state we title in or buy from. Each module supplies
+// its own rate lookup, trade-in rule and fee schedule (same shape as
+// CONFIG.fees). Add a state by adding an entry here. Amounts can be a
+// number or a list of { effectiveFrom, amount } entries (see getEffectiveAmount).
+// illinoisTreatment and reciprocalRate follow IDOR's Reciprocal-Nonreciprocal
+// Vehicle Tax Rate Chart: for a reciprocal state an Illinois dealer collects
+// Illinois tax at the chart rate (the state rate, without local taxes),
+// capped at 6.25%; for a nonreciprocal state it collects none.
+// ============================================
+
+/**
+ * Build a getTaxRate() result for states with a single statewide rate
+ * (same shape as IllinoisSalesTaxLookup.getTaxRate)
+ */
+function flatStateRate(rate, location, isEstimate) {
+  const info = { rate, location, county: null, municipality: null, isEstimate };
+  return { ...info, candidates: [info], isAmbiguous: false };
+}
+
+/**
+ * Build a fee schedule for states where we only track the doc fee
+ * and a flat title and registration fee
+ */
+function basicFeeSchedule({ docFee, docFeeCap, title, registration }) {
+  return [
+    { id: 'docPrep', name: 'Doc preparation', paidTo: 'dealer', amounts: docFee, cap: docFeeCap, taxable: true, overridable: true },
+    { id: 'title', name: 'Title', paidTo: 'state', amounts: title, taxable: false },
+    { id: 'registration', name: 'Registration', paidTo: 'state', amounts: registration, taxable: false, overridable: true }
+  ];
+}
+
+const STATE_TAX_MODULES = {
+  IL: {
+    name: 'Illinois',
+    // Accepts a ZIP, ZIP+4, town or county; null until the text matches one
+    getTaxRate: (location, date) => taxLookup.resolve(location, date),
+    tradeInCredit: true,
+    fees: CONFIG.fees
+  },
+  IN: {
+    name: 'Indiana',
+    // No local vehicle sales tax in Indiana
+    getTaxRate: () => flatStateRate(0.07, 'Indiana', false),
+    tradeInCredit: true,
+    fees: basicFeeSchedule({ docFee: 200, title: 15, registration: 21.35 }),
+    illinoisTreatment: 'reciprocal',
+    reciprocalRate: 0.07
+  },
+  WI: {
+    name: 'Wisconsin',
+    // 5% state + 0.5% county tax (most counties)
+    getTaxRate: () => flatStateRate(0.055, 'Wisconsin', true),
+    tradeInCredit: true,
+    fees: basicFeeSchedule({ docFee: 299, title: 164.50, registration: 85 }),
+    illinoisTreatment: 'reciprocal',
+    reciprocalRate: 0.05      // State rate only; county tax is paid when titling
+  },
+  IA: {
+    name: 'Iowa',
+    // 5% one-time fee for new registration, no local tax
+    getTaxRate: () => flatStateRate(0.05, 'Iowa', false),
+    tradeInCredit: true,
+    // Registration varies by weight and value
+    fees: basicFeeSchedule({ docFee: 180, docFeeCap: 180, title: 25, registration: 200 }),
+    illinoisTreatment: 'reciprocal',
+    reciprocalRate: 0.05
+  },
+  MO: {
+    name: 'Missouri',
+    // 4.225% state; local rates vary by address and are not included
+    getTaxRate: () => flatStateRate(0.04225, 'Missouri', true),
+    tradeInCredit: true,
+    fees: basicFeeSchedule({ docFee: 500, docFeeCap: 604, title: 14.50, registration: 51 }),
+    illinoisTreatment: 'reciprocal',
+    reciprocalRate: 0.04225   // State rate only; local tax is paid when titling
+  }
 };
 
 // Legacy TAX_RATES object for backward compatibility
@@ -295,6 +810,17 @@ CONFIG.downPaymentCalc = {
   // IRS tiers: 0% (<$47k income), 15% (most people), 20% (high earners)
   defaultGainsTaxRate: 0.15,
 
+  // ------------------------------------------
+  // SIMULATED RETURNS (Monte Carlo mode)
+  // Each simulated year's return is drawn at random around the expected
+  // return above, with this volatility (standard deviation of annual returns).
+  // ~15% = stock-heavy portfolio, ~10% = 70/30, ~5% = mostly bonds.
+  // The seed makes the simulation repeatable: same inputs, same answer.
+  // ------------------------------------------
+  defaultVolatility: 0.12,
+  simulationRuns: 5000,
+  defaultSimulationSeed: 2024,
+
   // ------------------------------------------
   // DEFAULT DOWN PAYMENT
   // ------------------------------------------
@@ -345,6 +871,6 @@ CONFIG.downPaymentCalc = {
   // The calculator reads from CONFIG.creditTiers at runtime.
   // Update CONFIG.creditTiers above to change APR defaults.
   // ------------------------------------------
-  aprNote: 'Edit CONFIG.creditTiers above to change APR defaults by credit tier and term.'
+  aprNote: 'Edit CONFIG.creditTiers above to change APR defaults by credit tier and term. Terms not listed are interpolated.'
 
 };
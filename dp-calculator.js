@@ -11,6 +11,11 @@ Object.assign(state, {
   selectedTerm:     60,
   investmentReturn: CONFIG.downPaymentCalc.defaultInvestmentReturn,
   gainsTaxRate:     CONFIG.downPaymentCalc.defaultGainsTaxRate,
+  returnMode:       'fixed',   // 'fixed' (one steady return) or 'simulated' (Monte Carlo)
+  returnVolatility: CONFIG.downPaymentCalc.defaultVolatility,
+  simulationSeed:   CONFIG.downPaymentCalc.defaultSimulationSeed,
+  dcaMode:          false,     // Compare with a second down payment, investing the payment difference
+  dcaDownPayment:   0,         // The second down payment
   residualPct:      CONFIG.downPaymentCalc.residualByTerm[60],
   maintenanceCosts: { ...CONFIG.downPaymentCalc.maintenanceByYear }
 });
@@ -58,7 +63,7 @@ function dpCalculate() {
   const netPosition   = endingAssets - totalCashOut;
   const afterTaxReturn = r * (1 - state.gainsTaxRate);
 
-  return {
+  const result = {
     totalAmountDue, outTheDoor: otd.outTheDoor, otdBreakdown: otd,
     downPayment, downPaymentPct: totalAmountDue > 0 ? downPayment / totalAmountDue : 0,
     amountFinanced, apr, isSpecialApr: aprInfo.isSpecial,
@@ -68,6 +73,126 @@ function dpCalculate() {
     totalCashOut, endingAssets, netPosition, afterTaxReturn,
     hasPrice: state.vehiclePrice > 0
   };
+  result.simulation = state.returnMode === 'simulated' ? dpSimulateReturns(result) : null;
+  result.dcaComparison = state.dcaMode ? dpCompareDownPayments(result) : null;
+  return result;
+}
+
+
+// ============================================
+// TWO DOWN PAYMENTS — INVEST THE PAYMENT DIFFERENCE
+// ============================================
+
+// Compare the slider's down payment with state.dcaDownPayment. The bigger
+// down payment invests its lower monthly payment's difference each month;
+// both invest what isn't put down on day one. Net cost is everything paid
+// in (the full amount due included) less the vehicle and investments at
+// the end, so it isn't dpCalculate()'s net position.
+function dpCompareDownPayments(r) {
+  const otherDown = Math.min(Math.max(0, state.dcaDownPayment), r.totalAmountDue);
+  const downs     = [r.downPayment, otherDown].sort((a, b) => a - b);
+  const payments  = downs.map(down => calculateMonthlyPayment(r.totalAmountDue - down, r.apr, r.term));
+  const monthlyRate = Math.pow(1 + state.investmentReturn, 1 / 12) - 1;
+
+  const [smaller, bigger] = downs.map((downPayment, i) => {
+    const amountFinanced = r.totalAmountDue - downPayment;
+    const monthlyPayment = payments[i];
+    const monthlyInvest  = payments[0] - monthlyPayment;   // 0 for the smaller down payment
+    const lumpSum        = r.totalAmountDue - downPayment;
+    const contributions  = monthlyInvest * r.term;
+
+    const lumpFv    = lumpSum * Math.pow(1 + state.investmentReturn, r.years);
+    const monthlyFv = monthlyRate > 0
+      ? monthlyInvest * (Math.pow(1 + monthlyRate, r.term) - 1) / monthlyRate
+      : contributions;
+    const balance       = lumpFv + monthlyFv;
+    const investmentTax = Math.max(0, balance - lumpSum - contributions) * state.gainsTaxRate;
+    const investmentValueNet = balance - investmentTax;
+
+    const totalPayments = monthlyPayment * r.term;
+    const totalOutlay   = r.totalAmountDue + totalPayments + contributions + r.totalMaintenance;
+
+    return {
+      downPayment, amountFinanced, monthlyPayment, monthlyInvest,
+      lumpSum, contributions, investmentTax, investmentValueNet,
+      totalPayments,
+      totalInterest: Math.max(0, totalPayments - amountFinanced),
+      totalOutlay,
+      netCost: totalOutlay - r.residualValue - investmentValueNet
+    };
+  });
+
+  return { smaller, bigger, advantage: smaller.netCost - bigger.netCost };
+}
+
+
+// ============================================
+// MONTE CARLO SIMULATION
+// ============================================
+
+// Seeded random numbers in [0, 1) (mulberry32), so a given seed always
+// produces the same return paths
+function dpSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box–Muller)
+function dpNormal(random) {
+  const u = 1 - random();   // (0, 1], so the log is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Linear interpolation between the closest ranks of a sorted array
+function dpPercentile(sorted, p) {
+  const idx = (sorted.length - 1) * p;
+  const lo  = Math.floor(idx);
+  const hi  = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Run CONFIG.downPaymentCalc.simulationRuns return paths for the invested
+// cash. Yearly growth is lognormal with mean state.investmentReturn and
+// standard deviation state.returnVolatility; a partial final year gets a
+// pro-rated draw. Only gains are taxed. Financing wins a path when the
+// after-tax investment profit beats the loan interest (the verdict's test).
+function dpSimulateReturns(r) {
+  const runs   = CONFIG.downPaymentCalc.simulationRuns;
+  const random = dpSeededRandom(state.simulationSeed);
+  const growth = 1 + state.investmentReturn;
+  const sigmaSq = Math.log(1 + Math.pow(state.returnVolatility / growth, 2));
+  const sigma  = Math.sqrt(sigmaSq);
+  const mu     = Math.log(growth) - sigmaSq / 2;
+  const fullYears = Math.floor(r.years);
+  const frac   = r.years - fullYears;
+
+  const netPositions = [];
+  let financingWins  = 0;
+  for (let run = 0; run < runs; run++) {
+    let logGrowth = 0;
+    for (let y = 0; y < fullYears; y++) logGrowth += mu + sigma * dpNormal(random);
+    if (frac > 0) logGrowth += mu * frac + sigma * Math.sqrt(frac) * dpNormal(random);
+
+    const fv       = r.cashInvested * Math.exp(logGrowth);
+    const valueNet = fv - Math.max(0, fv - r.cashInvested) * state.gainsTaxRate;
+    netPositions.push(r.residualValue + valueNet - r.totalCashOut);
+    if (valueNet - r.cashInvested >= r.totalInterest) financingWins++;
+  }
+  netPositions.sort((a, b) => a - b);
+
+  return {
+    runs,
+    probFinancingWins: financingWins / runs,
+    p10: dpPercentile(netPositions, 0.10),
+    p50: dpPercentile(netPositions, 0.50),
+    p90: dpPercentile(netPositions, 0.90)
+  };
 }
 
 
@@ -196,6 +321,12 @@ function dpUpdateResults() {
   // Waterfall results
   updateWaterfall(r);
 
+  // Simulated range of outcomes (Monte Carlo mode)
+  updateSimulation(r);
+
+  // Two down payments side by side
+  updateDcaComparison(r);
+
   // Verdict
   updateVerdict(r);
 
@@ -339,7 +470,12 @@ function updateWaterfall(r) {
         </div>
       </div>
       <div class="wf-insight-note">
-        ${investNetBeat >= 0
+        ${r.simulation
+          ? `At a steady ${(state.investmentReturn*100).toFixed(1)}% a year, ${investNetBeat >= 0
+              ? `your investments earn ${fmt(Math.abs(investNetBeat))} more than the loan costs`
+              : `the loan costs ${fmt(Math.abs(investNetBeat))} more than your investments earn`}.
+             Markets don't move steadily, though — see the simulated range below.`
+          : investNetBeat >= 0
           ? `Yes — your investments earn ${fmt(Math.abs(investNetBeat))} more than the loan costs. 
              Keeping cash in the market and financing the car is the better financial move over ${termYrs}.`
           : `No — the loan costs you ${fmt(Math.abs(investNetBeat))} more than your investments would earn. 
@@ -360,6 +496,92 @@ function wfRow(label, valueHtml, hasSub, extraClass) {
 }
 
 
+// ============================================
+// SIMULATED OUTCOMES (Monte Carlo mode)
+// ============================================
+function updateSimulation(r) {
+  const el = document.getElementById('dpSimulation');
+  if (!el) return;
+
+  const sim = r.simulation;
+  if (!sim) {
+    el.style.display = 'none';
+    return;
+  }
+  el.style.display = 'block';
+
+  const fmt  = formatCurrency;
+  const cell = (label, value) => `<div class="dp-sim-cell">
+      <span class="dp-sim-label">${label}</span>
+      <span class="dp-sim-value ${value >= 0 ? 'wf-green' : 'wf-red'}">${value >= 0 ? '+' : '−'}${fmt(Math.abs(value))}</span>
+    </div>`;
+
+  el.innerHTML = `
+    <div class="dp-sim-title">Range of outcomes — net financial position</div>
+    <div class="dp-sim-grid">
+      ${cell('Bad markets (10th pct.)', sim.p10)}
+      ${cell('Typical (median)', sim.p50)}
+      ${cell('Good markets (90th pct.)', sim.p90)}
+    </div>
+    <div class="dp-sim-note">
+      ${sim.runs.toLocaleString()} simulated markets averaging ${(state.investmentReturn*100).toFixed(1)}%/yr
+      with ${(state.returnVolatility*100).toFixed(0)}% volatility.
+      ${r.cashInvested > 0 && r.amountFinanced > 0
+        ? `Financing beats putting the cash down in <strong>${Math.round(sim.probFinancingWins * 100)}%</strong> of them.`
+        : ''}
+    </div>`;
+}
+
+
+// ============================================
+// TWO DOWN PAYMENTS SIDE BY SIDE
+// ============================================
+function updateDcaComparison(r) {
+  const el = document.getElementById('dpDcaCompare');
+  if (!el) return;
+
+  const cmp = r.dcaComparison;
+  if (!cmp) {
+    el.style.display = 'none';
+    return;
+  }
+  el.style.display = 'block';
+
+  const fmt    = formatCurrency;
+  const cost   = v => v >= 0 ? fmt(v) : `−${fmt(-v)}`;
+  const row    = (label, a, b, cls) => `<tr${cls ? ` class="${cls}"` : ''}><td>${label}</td><td>${a}</td><td>${b}</td></tr>`;
+  const { smaller, bigger } = cmp;
+
+  let verdict;
+  if (bigger.downPayment === smaller.downPayment) {
+    verdict = 'Enter a different down payment to compare.';
+  } else if (Math.abs(cmp.advantage) < 1) {
+    verdict = 'The two plans come out about even.';
+  } else if (cmp.advantage > 0) {
+    verdict = `Putting <strong>${fmt(bigger.downPayment)}</strong> down and investing ${fmt(bigger.monthlyInvest)}/mo comes out <strong>${fmt(cmp.advantage)}</strong> ahead.`;
+  } else {
+    verdict = `Putting <strong>${fmt(smaller.downPayment)}</strong> down and keeping the rest invested comes out <strong>${fmt(-cmp.advantage)}</strong> ahead.`;
+  }
+
+  el.innerHTML = `
+    <div class="dp-sim-title">Smaller down vs. bigger down + invest the difference</div>
+    <table class="dp-detail-table dp-dca-table">
+      <tr class="dp-dca-head"><td></td><td>Smaller down</td><td>Bigger down</td></tr>
+      ${row('Down payment', fmt(smaller.downPayment), fmt(bigger.downPayment))}
+      ${row('Monthly payment', fmt(smaller.monthlyPayment) + '/mo', fmt(bigger.monthlyPayment) + '/mo')}
+      ${row('Invested up front', fmt(smaller.lumpSum), fmt(bigger.lumpSum))}
+      ${row('Invested monthly', '—', fmt(bigger.monthlyInvest) + '/mo')}
+      ${row('Loan interest', fmt(smaller.totalInterest), fmt(bigger.totalInterest))}
+      ${row('Ending investment balance (after tax)', fmt(smaller.investmentValueNet), fmt(bigger.investmentValueNet))}
+      ${row('Net cost (paid in, less vehicle and investments)', cost(smaller.netCost), cost(bigger.netCost), 'dp-detail-total')}
+    </table>
+    <div class="dp-sim-note">
+      Both plans start with the same ${fmt(r.totalAmountDue)} and spend the same each month; returns are a steady
+      ${(state.investmentReturn*100).toFixed(1)}%/yr. ${verdict}
+    </div>`;
+}
+
+
 // ============================================
 // VERDICT BADGE
 // ============================================
@@ -373,6 +595,21 @@ function updateVerdict(r) {
   }
   el.style.display = 'block';
 
+  // Monte Carlo mode: phrase the verdict as a likelihood
+  if (r.simulation) {
+    const p   = r.simulation.probFinancingWins;
+    const pct = Math.round(p * 100);
+    el.className = 'dp-verdict ' + (p >= 0.5 ? 'dp-verdict-invest' : 'dp-verdict-paydown');
+    el.innerHTML = p >= 0.75
+      ? `<strong>📈 Financing likely makes sense here (${pct}% chance)</strong> — in most simulated markets your investment profit outpaces the loan interest`
+      : p >= 0.5
+      ? `<strong>📈 Financing has a slight edge (${pct}% chance)</strong> — your investments beat the loan interest a little more often than not`
+      : p >= 0.25
+      ? `<strong>💵 More cash down is the safer bet</strong> — financing comes out ahead in only ${pct}% of simulated markets`
+      : `<strong>💵 More cash down would likely save you money</strong> — the loan interest beats your investment profit in ${100 - pct}% of simulated markets`;
+    return;
+  }
+
   const investmentGainNet = r.investmentValueNet - r.cashInvested;
   const investNetBeat     = investmentGainNet - r.totalInterest;
   const investWins        = investNetBeat >= 0;
@@ -396,11 +633,7 @@ function updateDetailBreakdown(r) {
       <tr class="dp-detail-section"><td colspan="2">Transaction</td></tr>
       <tr><td>Vehicle price</td><td>${fmt(state.vehiclePrice)}</td></tr>
       <tr><td>Sales tax (${formatPercent(r.otdBreakdown.taxRate)})</td><td>${fmt(r.otdBreakdown.salesTax)}</td></tr>
-      <tr><td>Doc fee</td><td>${fmt(CONFIG.fees.docPrep.amount)}</td></tr>
-      <tr><td>ERT fee</td><td>${fmt(CONFIG.fees.ert.amount)}</td></tr>
-      <tr><td>Title</td><td>${fmt(CONFIG.fees.title.amount)}</td></tr>
-      <tr><td>Registration</td><td>${fmt(CONFIG.fees.registration.amount)}</td></tr>
-      ${state.isCookCounty ? `<tr><td>Cook County fee</td><td>${fmt(CONFIG.fees.cookCounty.amount)}</td></tr>` : ''}
+      ${r.otdBreakdown.feeLines.filter(f => f.amount > 0).map(f => `<tr><td>${f.name}</td><td>${fmt(f.amount)}</td></tr>`).join('')}
       ${r.otdBreakdown.tradeEquity > 0 ? `<tr><td>Trade-in equity</td><td class="green">−${fmt(r.otdBreakdown.tradeEquity)}</td></tr>` : ''}
       ${r.otdBreakdown.tradeEquity < 0 ? `<tr><td>Negative equity rolled in</td><td class="red">+${fmt(Math.abs(r.otdBreakdown.tradeEquity))}</td></tr>` : ''}
 
@@ -416,6 +649,12 @@ function updateDetailBreakdown(r) {
       <tr><td>Growth (${(state.investmentReturn*100).toFixed(1)}%/yr, ${r.years} yrs)</td><td class="green">+${fmt(r.investmentGain)}</td></tr>
       <tr><td>Capital gains tax (${(state.gainsTaxRate*100).toFixed(0)}%)</td><td class="red">−${fmt(r.investmentTax)}</td></tr>
       <tr><td>Net investment value</td><td>${fmt(r.investmentValueNet)}</td></tr>
+      ${r.simulation ? `
+      <tr class="dp-detail-section"><td colspan="2">Simulated markets (${r.simulation.runs.toLocaleString()} runs, ${(state.returnVolatility*100).toFixed(0)}% volatility)</td></tr>
+      <tr><td>Chance financing beats cash down</td><td>${Math.round(r.simulation.probFinancingWins * 100)}%</td></tr>
+      <tr><td>Net position, 10th percentile</td><td>${r.simulation.p10 >= 0 ? '+' : '−'}${fmt(Math.abs(r.simulation.p10))}</td></tr>
+      <tr><td>Net position, median</td><td>${r.simulation.p50 >= 0 ? '+' : '−'}${fmt(Math.abs(r.simulation.p50))}</td></tr>
+      <tr><td>Net position, 90th percentile</td><td>${r.simulation.p90 >= 0 ? '+' : '−'}${fmt(Math.abs(r.simulation.p90))}</td></tr>` : ''}
 
       <tr class="dp-detail-section"><td colspan="2">Ownership</td></tr>
       <tr><td>Total maintenance</td><td class="red">−${fmt(r.totalMaintenance)}</td></tr>
@@ -475,17 +714,41 @@ function dpInitEventListeners() {
     dpUpdateResults();
   });
 
-  // ZIP code
+  // Location (ZIP, ZIP+4, town or county)
   const zip = document.getElementById('zipCode');
   if (zip) zip.addEventListener('input', e => {
-    state.zipCode = e.target.value.replace(/\D/g, '').slice(0, 5);
-    e.target.value = state.zipCode;
+    state.zipCode = e.target.value.trim();
+    renderLocationSuggestions(state.zipCode);
     updateTaxRate();
     updateTradeEquity();
     updateSliderMax();
     dpUpdateResults();
   });
 
+  // Delivery date (selects the tax rates and fees in force)
+  const dd = document.getElementById('deliveryDate');
+  if (dd) dd.addEventListener('change', e => {
+    state.deliveryDate = e.target.value || todayIsoDate();
+    updateTaxRate();
+    updateTradeEquity();
+    updateSliderMax();
+    dpUpdateResults();
+  });
+
+  // Vehicle type and plates (registration fee)
+  const vt = document.getElementById('vehicleTypeSelect');
+  if (vt) vt.addEventListener('change', e => {
+    state.vehicleType = e.target.value;
+    updateSliderMax();
+    dpUpdateResults();
+  });
+  const po = document.getElementById('plateOptionSelect');
+  if (po) po.addEventListener('change', e => {
+    state.plateOption = e.target.value;
+    updateSliderMax();
+    dpUpdateResults();
+  });
+
   // Trade-in values
   const tv = document.getElementById('tradeValue');
   const to = document.getElementById('tradeOwed');
@@ -586,6 +849,47 @@ function dpInitEventListeners() {
     dpUpdateResults();
   });
 
+  // Fixed vs. simulated returns
+  const rm = document.getElementById('dpReturnMode');
+  if (rm) rm.addEventListener('change', e => {
+    state.returnMode = e.target.value;
+    const fields = document.getElementById('dpSimulationFields');
+    if (fields) fields.style.display = state.returnMode === 'simulated' ? 'flex' : 'none';
+    dpUpdateResults();
+  });
+
+  // Volatility (blank = default)
+  const vol = document.getElementById('dpVolatility');
+  if (vol) vol.addEventListener('input', e => {
+    state.returnVolatility = e.target.value.trim() === ''
+      ? CONFIG.downPaymentCalc.defaultVolatility
+      : parseNumber(e.target.value) / 100;
+    dpUpdateResults();
+  });
+
+  // Simulation seed (blank = default)
+  const seed = document.getElementById('dpSimulationSeed');
+  if (seed) seed.addEventListener('input', e => {
+    state.simulationSeed = e.target.value.trim() === ''
+      ? CONFIG.downPaymentCalc.defaultSimulationSeed
+      : Math.round(parseNumber(e.target.value));
+    dpUpdateResults();
+  });
+
+  // Second down payment to compare (invest the payment difference)
+  const dcaMode = document.getElementById('dpDcaMode');
+  if (dcaMode) dcaMode.addEventListener('change', e => {
+    state.dcaMode = e.target.value === 'on';
+    const fields = document.getElementById('dpDcaFields');
+    if (fields) fields.style.display = state.dcaMode ? 'block' : 'none';
+    dpUpdateResults();
+  });
+  const dcaDown = document.getElementById('dpDcaDown');
+  if (dcaDown) dcaDown.addEventListener('input', e => {
+    state.dcaDownPayment = parseNumber(e.target.value);
+    dpUpdateResults();
+  });
+
   // Residual %
   const res = document.getElementById('dpResidualPct');
   if (res) {
@@ -645,6 +949,10 @@ function dpInit() {
     updateTaxRate();
   }
 
+  // Pre-fill delivery date (today)
+  const ddEl = document.getElementById('deliveryDate');
+  if (ddEl) ddEl.value = state.deliveryDate;
+
   // Pre-fill APR
   const aprInfo = getAprForTerm(state.selectedTerm);
   const aprEl   = document.getElementById('dpAprInput');
@@ -659,6 +967,10 @@ function dpInit() {
   const gtrEl = document.getElementById('dpGainsTaxRate');
   if (irEl)  irEl.value  = (CONFIG.downPaymentCalc.defaultInvestmentReturn * 100).toFixed(1);
   if (gtrEl) gtrEl.value = (CONFIG.downPaymentCalc.defaultGainsTaxRate * 100).toFixed(0);
+  const volEl  = document.getElementById('dpVolatility');
+  const seedEl = document.getElementById('dpSimulationSeed');
+  if (volEl)  volEl.value  = (CONFIG.downPaymentCalc.defaultVolatility * 100).toFixed(0);
+  if (seedEl) seedEl.value = CONFIG.downPaymentCalc.defaultSimulationSeed;
 
   state.downPayment = 0;
 
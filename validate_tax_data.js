@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * V Knows Cars - Tax Data Validator
+ *
+ * Checks il_sales_tax_lookup.json before it is deployed: schema, rate
+ * ranges, duplicate ZIPs, county keys without a rate, and ZIP prefixes
+ * in IllinoisSalesTaxLookup._getCountyByPrefix() that point at counties
+ * with no rate.
+ *
+ * Usage: node validate_tax_data.js [path/to/il_sales_tax_lookup.json]
+ *
+ * Prints a JSON report to stdout. Exit code is 0 when there are no
+ * errors (warnings allowed), 1 when there are errors, 2 when the file
+ * can't be read or parsed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================
+// LIMITS
+// ============================================
+
+// Combined county rates start at the 6.25% state rate; nothing in
+// Illinois is above 12%
+const COUNTY_RATE_RANGE = { min: 0.0625, max: 0.12 };
+
+// Home-rule surcharges on top of the county rate
+const MUNICIPAL_RATE_RANGE = { min: 0, max: 0.05 };
+
+// Illinois ZIPs run 60001-62999
+const ZIP_PATTERN = /^6[0-2]\d{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Three-digit prefixes _getCountyByPrefix() can be asked about
+const ZIP_PREFIXES = Array.from({ length: 30 }, (_, i) => String(600 + i));
+
+
+// ============================================
+// REPORT
+// ============================================
+
+const issues = [];
+
+function error(code, where, message) {
+  issues.push({ severity: 'error', code, path: where, message });
+}
+
+function warning(code, where, message) {
+  issues.push({ severity: 'warning', code, path: where, message });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Top-level keys and their types
+ */
+function checkSchema(data) {
+  const required = {
+    version: 'string',
+    lastUpdated: 'date',
+    countyRates: 'object',
+    chicagoZips: 'array',
+    zipToCounty: 'object'
+  };
+  const optional = {
+    sources: 'object',
+    ratesEffectiveFrom: 'date',
+    municipalRates: 'object',
+    municipalRatesComplete: 'boolean',
+    rateChanges: 'array',
+    zipToMunicipality: 'object',
+    multiJurisdictionZips: 'object'
+  };
+
+  const typeMatches = (value, type) => {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return isPlainObject(value);
+    if (type === 'date') return typeof value === 'string' && DATE_PATTERN.test(value);
+    return typeof value === type;
+  };
+
+  Object.entries(required).forEach(([key, type]) => {
+    if (!(key in data)) {
+      error('missing-key', key, `Required key "${key}" is missing`);
+    } else if (!typeMatches(data[key], type)) {
+      error('wrong-type', key, `"${key}" must be ${type === 'date' ? 'a YYYY-MM-DD date' : `a ${type}`}`);
+    }
+  });
+  Object.entries(optional).forEach(([key, type]) => {
+    if (key in data && !typeMatches(data[key], type)) {
+      error('wrong-type', key, `"${key}" must be ${type === 'date' ? 'a YYYY-MM-DD date' : `a ${type}`}`);
+    }
+  });
+  Object.keys(data)
+    .filter(key => !(key in required) && !(key in optional))
+    .forEach(key => warning('unknown-key', key, `Unknown key "${key}" is ignored by the lookup`));
+
+  if (isPlainObject(data.countyRates) && !('DEFAULT' in data.countyRates)) {
+    error('missing-default-rate', 'countyRates.DEFAULT', 'countyRates needs a DEFAULT (statewide) rate');
+  }
+}
+
+/**
+ * Every rate is a number inside the allowed range
+ */
+function checkRates(rates, where, range) {
+  if (!isPlainObject(rates)) return;
+  Object.entries(rates).forEach(([key, rate]) => {
+    if (typeof rate !== 'number' || Number.isNaN(rate)) {
+      error('invalid-rate', `${where}.${key}`, `Rate must be a number, got ${JSON.stringify(rate)}`);
+    } else if (rate < range.min || rate > range.max) {
+      error('rate-out-of-range', `${where}.${key}`,
+        `Rate ${rate} is outside ${range.min}-${range.max} (rates are decimals: 0.0725 = 7.25%)`);
+    }
+  });
+}
+
+/**
+ * ZIP format, duplicates within chicagoZips, and ZIPs listed in both
+ * chicagoZips and zipToCounty (the Chicago list wins, so the other
+ * entry is dead data)
+ */
+function checkZips(data) {
+  const chicagoZips = Array.isArray(data.chicagoZips) ? data.chicagoZips : [];
+  const zipToCounty = isPlainObject(data.zipToCounty) ? data.zipToCounty : {};
+  const seen = new Set();
+
+  chicagoZips.forEach((zip, i) => {
+    if (!ZIP_PATTERN.test(zip)) {
+      error('invalid-zip', `chicagoZips[${i}]`, `"${zip}" is not an Illinois ZIP`);
+    }
+    if (seen.has(zip)) {
+      error('duplicate-zip', `chicagoZips[${i}]`, `${zip} is listed more than once in chicagoZips`);
+      return;
+    }
+    seen.add(zip);
+    if (zip in zipToCounty) {
+      error('duplicate-zip', `zipToCounty.${zip}`, `${zip} is in both chicagoZips and zipToCounty; the zipToCounty entry is never used`);
+    }
+  });
+
+  ['zipToCounty', 'zipToMunicipality', 'multiJurisdictionZips'].forEach(key => {
+    if (!isPlainObject(data[key])) return;
+    Object.keys(data[key])
+      .filter(zip => !ZIP_PATTERN.test(zip))
+      .forEach(zip => error('invalid-zip', `${key}.${zip}`, `"${zip}" is not an Illinois ZIP`));
+  });
+
+  if (isPlainObject(data.zipToMunicipality)) {
+    Object.keys(data.zipToMunicipality)
+      .filter(zip => !(zip in zipToCounty) && !seen.has(zip))
+      .forEach(zip => warning('orphan-municipality', `zipToMunicipality.${zip}`,
+        `${zip} has a municipality but no county, so the municipality is never used`));
+  }
+}
+
+/**
+ * Every county key used anywhere has a rate in countyRates
+ */
+function checkCountyKeys(data) {
+  const countyRates = isPlainObject(data.countyRates) ? data.countyRates : {};
+  const requireRate = (county, where) => {
+    if (!(county in countyRates)) {
+      error('county-without-rate', where, `County "${county}" has no entry in countyRates`);
+    }
+  };
+
+  if (isPlainObject(data.zipToCounty)) {
+    Object.entries(data.zipToCounty).forEach(([zip, county]) => requireRate(county, `zipToCounty.${zip}`));
+  }
+
+  if (isPlainObject(data.multiJurisdictionZips)) {
+    Object.entries(data.multiJurisdictionZips).forEach(([zip, list]) => {
+      if (!Array.isArray(list) || list.length < 2) {
+        error('invalid-multi-jurisdiction', `multiJurisdictionZips.${zip}`, 'Must list at least two jurisdictions');
+        return;
+      }
+      const invalid = list
+        .map((j, i) => (isPlainObject(j) ? null : i))
+        .filter(i => i !== null);
+      invalid.forEach(i => error('invalid-multi-jurisdiction', `multiJurisdictionZips.${zip}[${i}]`,
+        'Must be a { county, municipality } object'));
+      if (invalid.length > 0) return;
+      list.forEach((j, i) => requireRate(j.county, `multiJurisdictionZips.${zip}[${i}].county`));
+
+      // The primary (first) entry should agree with the single-ZIP tables
+      const county = data.zipToCounty ? data.zipToCounty[zip] : undefined;
+      if (county && list[0].county !== county) {
+        warning('primary-mismatch', `multiJurisdictionZips.${zip}[0]`,
+          `Primary county ${list[0].county} differs from zipToCounty (${county})`);
+      }
+    });
+  }
+
+  if (Array.isArray(data.rateChanges)) {
+    data.rateChanges.forEach((change, i) => {
+      const where = `rateChanges[${i}]`;
+      if (!isPlainObject(change)) {
+        error('invalid-rate-change', where, 'Must be an object with effectiveFrom and rates');
+        return;
+      }
+      if (!DATE_PATTERN.test(change.effectiveFrom || '')) {
+        error('invalid-date', `${where}.effectiveFrom`, 'effectiveFrom must be a YYYY-MM-DD date');
+      }
+      ['countyRates', 'municipalRates']
+        .filter(key => key in change && !isPlainObject(change[key]))
+        .forEach(key => error('wrong-type', `${where}.${key}`, `"${key}" must be an object`));
+      if (isPlainObject(change.countyRates)) {
+        Object.keys(change.countyRates).forEach(county => requireRate(county, `${where}.countyRates.${county}`));
+      }
+      checkRates(change.countyRates, `${where}.countyRates`, COUNTY_RATE_RANGE);
+      checkRates(change.municipalRates, `${where}.municipalRates`, MUNICIPAL_RATE_RANGE);
+    });
+  }
+}
+
+/**
+ * ZIP prefixes hard-coded in config.js must map to counties that have a
+ * rate, otherwise the lookup silently skips them
+ */
+function checkPrefixes(data, configPath) {
+  let lookup;
+  try {
+    const context = vm.createContext({
+      console: { log() {}, error() {}, warn() {} },
+      fetch: () => Promise.reject(new Error('not available'))
+    });
+    vm.runInContext(fs.readFileSync(configPath, 'utf8'), context, { filename: configPath });
+    lookup = vm.runInContext('new IllinoisSalesTaxLookup()', context);
+  } catch (err) {
+    error('config-load-failed', 'config.js', `Could not load ${configPath}: ${err.message}`);
+    return;
+  }
+
+  const countyRates = isPlainObject(data.countyRates) ? data.countyRates : {};
+  ZIP_PREFIXES.forEach(prefix => {
+    const county = lookup._getCountyByPrefix(prefix);
+    if (county && !(county in countyRates)) {
+      error('prefix-county-without-rate', `_getCountyByPrefix.${prefix}`,
+        `Prefix ${prefix} maps to "${county}", which has no entry in countyRates`);
+    }
+  });
+}
+
+
+// ============================================
+// MAIN
+// ============================================
+
+function main() {
+  const dataPath = path.resolve(process.argv[2] || path.join(__dirname, 'il_sales_tax_lookup.json'));
+  const configPath = path.join(__dirname, 'config.js');
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  } catch (err) {
+    error('unreadable', dataPath, err.message);
+    report(dataPath);
+    process.exit(2);
+  }
+
+  if (!isPlainObject(data)) {
+    error('wrong-type', '', 'The file must contain a JSON object');
+  } else {
+    checkSchema(data);
+    checkRates(data.countyRates, 'countyRates', COUNTY_RATE_RANGE);
+    checkRates(data.municipalRates, 'municipalRates', MUNICIPAL_RATE_RANGE);
+    checkZips(data);
+    checkCountyKeys(data);
+    checkPrefixes(data, configPath);
+  }
+
+  const errorCount = report(dataPath);
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+/**
+ * Print the JSON report; returns the number of errors
+ */
+function report(dataPath) {
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+  console.log(JSON.stringify({
+    file: dataPath,
+    valid: errorCount === 0,
+    errorCount: errorCount,
+    warningCount: issues.length - errorCount,
+    issues: issues
+  }, null, 2));
+  return errorCount;
+}
+
+main();